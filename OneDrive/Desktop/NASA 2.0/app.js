@@ -0,0 +1,1451 @@
+// backend/app.js
+// Aplicación Express embebible: createApp(opciones) arma rutas, cache y cliente FIRMS
+const express = require('express');
+const fetch = require('node-fetch');
+const cors = require('cors');
+const NodeCache = require('node-cache');
+const path = require('path');
+const crypto = require('crypto');
+const historico = require('./services/historico');
+const geografia = require('./services/geografia');
+const exportacion = require('./services/exportacion');
+const alertas = require('./services/alertas');
+const { crearProgramador, parsearObjetivos } = require('./services/programador');
+const firms = require('./services/firms');
+const consulta = require('./services/consulta');
+const normalizacion = require('./services/normalizacion');
+const riesgo = require('./services/riesgo');
+const tiempo = require('./services/tiempo');
+const i18n = require('./services/i18n');
+const meteo = require('./services/meteo');
+const areasProtegidas = require('./services/areasProtegidas');
+const densidad = require('./services/densidad');
+const series = require('./services/series');
+const huellas = require('./services/huellas');
+const propagacion = require('./services/propagacion');
+const { crearServicioDetecciones } = require('./services/detecciones');
+const { crearDifusor } = require('./services/difusion');
+const { crearMetricas } = require('./services/metricas');
+const clavesApi = require('./services/clavesApi');
+const log = require('./services/log');
+const { NIVELES_CONFIANZA } = require('./services/firmsCsv');
+const { obtenerEstadisticas } = require('./services/estadisticas');
+
+// Configuración a partir de variables de entorno
+function crearConfig(env = process.env) {
+  // FIRMS_REINTENTOS=0 es válido; un valor no numérico o negativo usa el predeterminado
+  const reintentosFirms = parseInt(env.FIRMS_REINTENTOS);
+
+  return {
+    SOURCES: {
+      'VIIRS_SNPP_NRT': 'VIIRS S-NPP',
+      'VIIRS_NOAA20_NRT': 'VIIRS NOAA-20',
+      'MODIS_NRT': 'MODIS Terra & Aqua',
+      'VIIRS_NOAA21_NRT': 'VIIRS NOAA-21'
+    },
+    // Extensión de cada límite en data/departamentos.geojson: se usa para la
+    // consulta a FIRMS y luego se filtra por polígono
+    BBOX: {
+      bolivia: '-69.7,-22.9,-57.4,-9.6',
+      santaCruz: '-64.9,-20.5,-57.4,-13.4',
+      laPaz: '-69.7,-18.1,-66.7,-11.9',
+      beni: '-67.6,-16.5,-61.5,-10.3',
+      pando: '-69.6,-12.5,-65.2,-9.6',
+      tarija: '-65.4,-22.9,-62.2,-20.8',
+      cochabamba: '-67.1,-18.7,-64.2,-15.6',
+      oruro: '-69.2,-19.9,-66.0,-17.4',
+      potosi: '-68.8,-22.9,-64.7,-17.8',
+      chuquisaca: '-65.7,-21.6,-62.2,-18.3',
+      custom: null
+    },
+    CONFIDENCE_LEVELS: NIVELES_CONFIANZA,
+    INCIDENTES: {
+      DISTANCIA_MAX_KM: parseFloat(env.INCIDENTES_DISTANCIA_KM) || 2,
+      VENTANA_HORAS: parseFloat(env.INCIDENTES_VENTANA_HORAS) || 48
+    },
+    // Fusión entre sensores con source=ALL (mismo fuego visto por varios satélites)
+    FUSION: {
+      ACTIVA: env.FUSION_ACTIVA !== 'false',
+      DISTANCIA_KM: parseFloat(env.FUSION_DISTANCIA_KM) || 1,
+      VENTANA_MIN: parseFloat(env.FUSION_VENTANA_MIN) || 60
+    },
+    // Timeout por fuente y reintentos ante fallos transitorios de FIRMS
+    FIRMS: {
+      MAP_KEY: env.FIRMS_MAP_KEY,
+      TIMEOUT_MS: parseInt(env.FIRMS_TIMEOUT_MS) || 10000,
+      REINTENTOS: reintentosFirms >= 0 ? reintentosFirms : 2,
+      BACKOFF_MS: parseInt(env.FIRMS_BACKOFF_MS) || 1000,
+      TTL_PARCIAL_S: 60,
+      // live (API) o fixture (CSV locales, sin MAP_KEY ni red)
+      MODO: env.FIRMS_MODE || 'live',
+      FIXTURE_DIR: env.FIRMS_FIXTURE_DIR || path.join(__dirname, 'data', 'fixtures', 'firms'),
+      FIXTURE_VELOCIDAD: parseFloat(env.FIRMS_FIXTURE_VELOCIDAD) || 0,
+      FIXTURE_INICIO: env.FIRMS_FIXTURE_INICIO,
+      FIXTURE_FECHA: env.FIRMS_FIXTURE_FECHA
+    },
+    // Consulta periódica en segundo plano: objetivos `region:source:days`
+    POLLER: {
+      ACTIVO: env.POLLER_ACTIVO !== 'false',
+      INTERVALO_MIN: parseFloat(env.POLLER_INTERVALO_MIN) || 5,
+      OBJETIVOS: env.POLLER_OBJETIVOS || 'bolivia:VIIRS_SNPP_NRT:3,bolivia:ALL:1'
+    },
+    // Contexto meteorológico: open-meteo (HTTP), archivo (GeoJSON local) o ninguno.
+    // Sin METEO_PROVEEDOR: open-meteo con FIRMS en vivo, ninguno en modo fixture
+    METEO: {
+      PROVEEDOR: env.METEO_PROVEEDOR,
+      URL: env.METEO_URL || 'https://api.open-meteo.com/v1/forecast',
+      ARCHIVO: env.METEO_ARCHIVO || path.join(__dirname, 'data', 'meteo.geojson'),
+      TIMEOUT_MS: parseInt(env.METEO_TIMEOUT_MS) || 8000,
+      // Lo que una consulta de focos espera al clima antes de responder sin él
+      ESPERA_MS: parseInt(env.METEO_ESPERA_MS) || 1500,
+      TTL_REGIONES_S: 1800
+    },
+    // Envío en vivo de cambios (/api/stream): latido y revisión del cache cada INTERVALO_S
+    STREAM: {
+      INTERVALO_S: parseFloat(env.STREAM_INTERVALO_S) || 30,
+      MAX_CLIENTES: parseInt(env.STREAM_MAX_CLIENTES) || 200,
+      // Consultas distintas (región, fuente, días) que se refrescan a la vez
+      MAX_CONSULTAS: parseInt(env.STREAM_MAX_CONSULTAS) || 20
+    },
+    // Clave de administración inicial (no se guarda en la base de claves)
+    CLAVES: {
+      ADMIN: env.ADMIN_API_KEY
+    },
+    // /metrics pide una clave admin salvo METRICAS_PUBLICAS=true
+    // (solo si el puerto no es accesible desde fuera)
+    METRICAS: {
+      PUBLICAS: env.METRICAS_PUBLICAS === 'true'
+    },
+    // Bases embebidas (NeDB) que abre cada app; null las deja en memoria
+    BASES: {
+      HISTORICO: env.HISTORICO_DB || path.join(__dirname, 'data', 'historico.db'),
+      ALERTAS: env.ALERTAS_DB || path.join(__dirname, 'data', 'alertas.db'),
+      ALERTAS_NOTIFICADAS: env.ALERTAS_NOTIFICADAS_DB || path.join(__dirname, 'data', 'alertas-notificadas.db'),
+      CLAVES_API: env.CLAVES_API_DB || path.join(__dirname, 'data', 'claves-api.db')
+    },
+    MAX_DAYS: 10,
+    RATE_LIMIT: 100 // requests por hora sin clave, por IP
+  };
+}
+
+// Cada sección de `extra` se combina con la de `base` (p. ej. { FIRMS: { MODO: 'fixture' } })
+function combinarConfig(base, extra = {}) {
+  const config = { ...base };
+  Object.entries(extra).forEach(([seccion, valor]) => {
+    config[seccion] = valor && typeof valor === 'object' && !Array.isArray(valor) && base[seccion]
+      ? { ...base[seccion], ...valor }
+      : valor;
+  });
+  return config;
+}
+
+/**
+ * Crea la aplicación sin escuchar ni iniciar el programador. Opciones:
+ * `config` (secciones parciales de crearConfig), `cache` y `statsCache`
+ * (NodeCache o compatibles), `clienteFirms` (ver firms.crearCliente) y
+ * `proveedorMeteo` (ver meteo.crearProveedor; null lo desactiva) y `log`
+ * (ver log.crearLogger) para los logs de cada solicitud. Cada app abre sus
+ * propias bases (histórico, alertas, claves) en las rutas de `config.BASES`.
+ */
+function createApp(opciones = {}) {
+  const CONFIG = combinarConfig(crearConfig(), opciones.config);
+  log.registrarSecreto(CONFIG.FIRMS.MAP_KEY);
+  log.registrarSecreto(CONFIG.CLAVES.ADMIN);
+  const registroApp = opciones.log || log;
+  
+  const app = express();
+
+  // Id de solicitud: el X-Request-Id recibido (si es válido) o uno nuevo. Se
+  // devuelve en la respuesta y acompaña cada log de la solicitud (req.log)
+  app.use((req, res, next) => {
+    const recibido = req.get('X-Request-Id');
+    req.id = recibido && /^[\w.:-]{1,128}$/.test(recibido) ? recibido : crypto.randomUUID();
+    req.log = registroApp.hijo({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+    
+    const inicio = Date.now();
+    res.on('finish', () => {
+      const nivel = res.statusCode >= 500 ? 'error' : 'info';
+      req.log[nivel]('solicitud', {
+        metodo: req.method,
+        url: req.originalUrl,
+        codigo: res.statusCode,
+        duracionMs: Date.now() - inicio,
+        cliente: req.cliente && req.cliente.id
+      });
+    });
+    next();
+  });
+
+  // CORS configurado explícitamente para entornos locales comunes
+  const allowedOrigins = [
+    'http://127.0.0.1:5500',
+    'http://localhost:5500',
+    `http://localhost:${process.env.PORT || 4000}`
+  ];
+  app.use(cors({
+    origin: function(origin, callback) {
+      // Permitir herramientas locales sin origin (e.g., curl, Postman)
+      if (!origin) return callback(null, true);
+      if (allowedOrigins.includes(origin)) return callback(null, true);
+      return callback(null, true); // mantener abierto durante desarrollo
+    },
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'X-API-Key', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id', 'X-RateLimit-Limit', 'X-RateLimit-Remaining']
+  }));
+  app.use(express.json());
+
+  // Métricas Prometheus de esta app (/metrics). La ruta es la plantilla
+  // (p. ej. /api/claves/:id) para no crear una serie por URL
+  const metricas = crearMetricas();
+  app.use((req, res, next) => {
+    const inicio = process.hrtime.bigint();
+    res.on('finish', () => {
+      metricas.registrarSolicitud({
+        metodo: req.method,
+        ruta: req.route ? req.baseUrl + req.route.path : 'otra',
+        codigo: res.statusCode
+      }, Number(process.hrtime.bigint() - inicio) / 1e9);
+    });
+    next();
+  });
+
+  app.use(express.static(path.join(__dirname, 'frontend')));
+
+  const FIRMS_KEY = CONFIG.FIRMS.MAP_KEY;
+
+  // Cache con diferentes TTL según tipo de dato
+  const cache = opciones.cache || new NodeCache({ stdTTL: 300, checkperiod: 60 });
+  const statsCache = opciones.statsCache || new NodeCache({ stdTTL: 600 }); // 10 min para stats
+
+  const clienteFirms = opciones.clienteFirms || firms.crearCliente({
+    modo: CONFIG.FIRMS.MODO,
+    fixture: {
+      directorio: CONFIG.FIRMS.FIXTURE_DIR,
+      velocidad: CONFIG.FIRMS.FIXTURE_VELOCIDAD,
+      inicio: CONFIG.FIRMS.FIXTURE_INICIO,
+      fecha: CONFIG.FIRMS.FIXTURE_FECHA
+    }
+  });
+  // En modo fixture no hace falta MAP_KEY
+  const FIRMS_LISTO = clienteFirms.modo === 'fixture' || Boolean(FIRMS_KEY);
+
+  // `proveedorMeteo: null` desactiva la meteorología. El modo fixture funciona
+  // sin red: salvo que se pida un proveedor, no consulta Open-Meteo
+  const proveedorMeteo = opciones.proveedorMeteo !== undefined ? opciones.proveedorMeteo : meteo.crearProveedor({
+    proveedor: CONFIG.METEO.PROVEEDOR || (clienteFirms.modo === 'fixture' ? 'ninguno' : 'open-meteo'),
+    url: CONFIG.METEO.URL,
+    archivo: CONFIG.METEO.ARCHIVO,
+    timeoutMs: CONFIG.METEO.TIMEOUT_MS,
+    diasPasados: CONFIG.MAX_DAYS + 1
+  });
+
+  // Bases embebidas de esta app (ver CONFIG.BASES)
+  const historicoDb = historico.crearHistorico({ archivo: CONFIG.BASES.HISTORICO });
+  const alertasDb = alertas.crearAlertas({
+    archivo: CONFIG.BASES.ALERTAS,
+    archivoNotificadas: CONFIG.BASES.ALERTAS_NOTIFICADAS
+  });
+  const clavesDb = clavesApi.crearClavesApi({ archivo: CONFIG.BASES.CLAVES_API });
+
+  // Contador de requests para rate limiting básico
+  const requestCounts = new Map();
+
+  app.use('/api', identificarCliente);
+
+  // Idioma de los mensajes (?lang=es|en); uno desconocido cae al predeterminado
+  function idiomaDe(req) {
+    return i18n.IDIOMAS[req.query.lang] ? req.query.lang : i18n.IDIOMA_PREDETERMINADO;
+  }
+
+  // Identifica al cliente por la cabecera X-API-Key; sin clave es público y se limita por IP
+  async function identificarCliente(req, res, next) {
+    const clave = req.get('X-API-Key');
+    if (!clave) {
+      req.cliente = { rol: 'publico', cuotaPorHora: CONFIG.RATE_LIMIT };
+      return next();
+    }
+    
+    if (CONFIG.CLAVES.ADMIN && clavesApi.mismaClave(clave, CONFIG.CLAVES.ADMIN)) {
+      req.cliente = { id: 'admin', nombre: 'ADMIN_API_KEY', rol: 'admin', cuotaPorHora: null };
+      return next();
+    }
+    
+    const encontrada = await clavesDb.buscarPorClave(clave);
+    if (!encontrada) {
+      const lang = idiomaDe(req);
+      return res.status(401).json({
+        error: i18n.t(lang, 'error.claveInvalida'),
+        mensaje: i18n.t(lang, 'error.claveInvalidaMensaje')
+      });
+    }
+    
+    req.cliente = encontrada;
+    res.on('finish', () => {
+      clavesDb.registrarUso(encontrada.id, { rechazada: res.statusCode === 429 })
+        .catch(err => req.log.error('error registrando uso de clave', { clave: encontrada.id, error: err }));
+    });
+    next();
+  }
+  
+  // Solo clientes con al menos `rol` (401 sin clave, 403 con una de menor rol)
+  function requiereRol(rol) {
+    return (req, res, next) => {
+      if (clavesApi.ROLES[req.cliente.rol].nivel >= clavesApi.ROLES[rol].nivel) return next();
+      const lang = idiomaDe(req);
+      return res.status(req.cliente.id ? 403 : 401).json({
+        error: i18n.t(lang, req.cliente.id ? 'error.sinPermiso' : 'error.claveRequerida'),
+        mensaje: i18n.t(lang, 'error.rolRequerido', { rol })
+      });
+    };
+  }
+  
+  // Solicitudes de la última hora de un cliente: por clave si la tiene, si no por IP
+  function solicitudesRecientes(req) {
+    const id = req.cliente.id ? `clave:${req.cliente.id}` : `ip:${req.ip || req.connection.remoteAddress}`;
+    const now = Date.now();
+    const windowMs = 60 * 60 * 1000; // 1 hora
+    const requests = (requestCounts.get(id) || []).filter(time => now - time < windowMs);
+    requestCounts.set(id, requests);
+    return requests;
+  }
+  
+  // Middleware de rate limiting: cuota por hora de la clave o RATE_LIMIT por IP
+  function rateLimiter(req, res, next) {
+    const limite = req.cliente.cuotaPorHora;
+    if (limite === null) return next();
+    
+    const requests = solicitudesRecientes(req);
+    res.set('X-RateLimit-Limit', String(limite));
+    
+    if (requests.length >= limite) {
+      const lang = idiomaDe(req);
+      metricas.registrarRechazo(Boolean(req.cliente.id));
+      res.set('X-RateLimit-Remaining', '0');
+      return res.status(429).json({
+        error: i18n.t(lang, 'error.rateLimit'),
+        mensaje: i18n.t(lang, 'error.rateLimitMensaje')
+      });
+    }
+    
+    requests.push(Date.now());
+    res.set('X-RateLimit-Remaining', String(limite - requests.length));
+    next();
+  }
+
+  // ?source= debe ser una de CONFIG.SOURCES o ALL: también nombra las series de
+  // /metrics y la consulta a FIRMS. Si no, responde 400 y devuelve false
+  function fuenteValida(req, res, lang) {
+    const { source } = req.query;
+    if (!source || source === 'ALL' || (typeof source === 'string' && Object.hasOwn(CONFIG.SOURCES, source))) return true;
+    res.status(400).json({
+      error: i18n.t(lang, 'error.fuente'),
+      fuentesValidas: ['ALL', ...Object.keys(CONFIG.SOURCES)]
+    });
+    return false;
+  }
+
+  // ?bbox= debe ser minLng,minLat,maxLng,maxLat con cuatro números y mín < máx:
+  // va en la URL de FIRMS y en la clave del cache. Si no, responde 400 y devuelve false
+  function bboxValido(req, res, lang) {
+    if (req.query.bbox === undefined || geografia.parsearBbox(req.query.bbox)) return true;
+    res.status(400).json({
+      error: i18n.t(lang, 'error.bbox'),
+      mensaje: i18n.t(lang, 'error.bboxMensaje')
+    });
+    return false;
+  }
+
+  // Modelo de riesgo (?modeloRiesgo=), idioma (?lang=) y zona horaria (?tz=) de la
+  // respuesta. Si alguno es inválido responde 400 y devuelve null
+  function resolverPresentacion(req, res) {
+    const lang = req.query.lang || i18n.IDIOMA_PREDETERMINADO;
+    if (!i18n.IDIOMAS[lang]) {
+      res.status(400).json({
+        error: i18n.t(i18n.IDIOMA_PREDETERMINADO, 'error.idioma'),
+        idiomasValidos: Object.keys(i18n.IDIOMAS)
+      });
+      return null;
+    }
+    
+    const tz = tiempo.zonaCanonica(req.query.tz || tiempo.ZONA_PREDETERMINADA);
+    if (!tz) {
+      res.status(400).json({
+        error: i18n.t(lang, 'error.zonaHoraria'),
+        mensaje: i18n.t(lang, 'error.zonaHorariaMensaje')
+      });
+      return null;
+    }
+    
+    const modelo = riesgo.obtenerModelo(req.query.modeloRiesgo);
+    if (!modelo) {
+      res.status(400).json({
+        error: i18n.t(lang, 'error.modeloRiesgo'),
+        modelosValidos: riesgo.listarModelos().modelos.map(m => m.id)
+      });
+      return null;
+    }
+    
+    return { modelo, lang, tz };
+  }
+
+  const servicioDetecciones = crearServicioDetecciones({
+    config: CONFIG,
+    cache,
+    clienteFirms,
+    proveedorMeteo,
+    historico: historicoDb,
+    alertas: alertasDb,
+    metricas,
+    alActualizar: (clave, { datos, actualizado }) => difusor.publicar(clave, datos, actualizado)
+  });
+  const { resolverConsulta, claveConsulta, obtenerFocos, presentarFocos, presentarIncidentes, consultarDetecciones } = servicioDetecciones;
+
+  // Clientes de /api/stream; mientras haya alguno, sus consultas se revisan
+  // periódicamente y cada consulta fresca a FIRMS difunde los cambios
+  const difusor = crearDifusor({
+    intervaloMs: CONFIG.STREAM.INTERVALO_S * 1000,
+    maxClientes: CONFIG.STREAM.MAX_CLIENTES,
+    maxConsultas: CONFIG.STREAM.MAX_CONSULTAS,
+    refrescar: parametros => obtenerFocos(parametros)
+  });
+
+  // Etiquetas de CONFIG.CONFIDENCE_LEVELS en el idioma pedido
+  function nivelesConfianza(lang) {
+    return Object.fromEntries(Object.entries(CONFIG.CONFIDENCE_LEVELS).map(([nivel, valor]) =>
+      [nivel, { ...valor, label: i18n.t(lang, `confianza.${nivel}`) }]
+    ));
+  }
+
+  // Programador: refresca los objetivos configurados antes de que expire el cache
+  const programador = crearProgramador({
+    intervaloMs: CONFIG.POLLER.INTERVALO_MIN * 60 * 1000,
+    objetivos: parsearObjetivos(CONFIG.POLLER.OBJETIVOS, Object.keys(CONFIG.BBOX).filter(k => k !== 'custom')),
+    tarea: async (objetivo) => {
+      const { datos, errores } = await obtenerFocos(resolverConsulta(objetivo), {
+        refrescar: true,
+        ttl: Math.max(300, CONFIG.POLLER.INTERVALO_MIN * 60 * 2)
+      });
+      return { focos: datos.length, errores };
+    }
+  });
+
+  // ============= RUTAS =============
+
+  app.get("/", (req, res) => {
+    res.sendFile(path.join(__dirname, 'frontend/index.html'));
+  });
+
+  app.get("/api", (req, res) => {
+    res.json({
+      status: 'online',
+      message: 'Servidor de monitoreo de incendios FIRMS',
+      version: '2.1.0',
+      uptime: process.uptime(),
+      memoria: {
+        usada: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB',
+        total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + ' MB'
+      },
+      cache: {
+        keys: cache.keys().length,
+        stats: cache.getStats()
+      },
+      endpoints: {
+        incendios: '/api/eventos?tipo=incendios&days=3&source=VIIRS_SNPP_NRT&region=bolivia',
+        filtros: '/api/eventos?tipo=incendios&days=3&minConfianza=70&severidad=alta,muy_alta&sort=-frp&limit=100&fields=lat,lng,frp',
+        exportar: '/api/incendios?days=3&region=bolivia&format=geojson|kml|csv',
+        estadisticas: '/api/estadisticas?days=7&region=bolivia',
+        incidentes: '/api/incidentes?days=3&source=VIIRS_SNPP_NRT&region=bolivia',
+        densidad: '/api/densidad?days=10&source=ALL&forma=hexagonal&tamano=0.25',
+        huellas: '/api/huellas?days=3&source=ALL&region=santaCruz',
+        propagacion: '/api/propagacion?days=3&source=ALL&region=santaCruz',
+        stream: '/api/stream?days=1&source=ALL&region=santaCruz (text/event-stream)',
+        cuenta: '/api/cuenta (cabecera X-API-Key)',
+        claves: 'GET|POST /api/claves, GET|PATCH|DELETE /api/claves/:id (rol admin)',
+        alertas: 'POST /api/alertas { webhookUrl, bbox | poligono, minConfianza, minFRP, minSeveridad }',
+        historico: '/api/historico?desde=2024-08-01&hasta=2024-10-31&region=santaCruz',
+        series: '/api/series?desde=2024-08-01&hasta=2024-10-31&region=santaCruz&intervalo=dia',
+        fuentes: '/api/fuentes',
+        modelosRiesgo: '/api/riesgo/modelos',
+        meteo: '/api/meteo/regiones',
+        areasProtegidas: '/api/areas-protegidas?tipo=area_protegida|tco',
+        regiones: '/api/regiones',
+        validar: '/api/validar',
+        health: '/api/health',
+        metricas: '/metrics (Prometheus, rol admin)'
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Métricas para Prometheus (fuera de /api: sin cuota). Las etiquetas revelan
+  // tráfico y regiones consultadas, así que piden una clave admin
+  const accesoMetricas = CONFIG.METRICAS.PUBLICAS ? [] : [identificarCliente, requiereRol('admin')];
+  app.get('/metrics', ...accesoMetricas, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metricas.exponer());
+  });
+
+  // Health check
+  app.get('/api/health', (req, res) => {
+    const health = {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      apiKey: FIRMS_KEY ? 'configurada' : 'faltante',
+      firms: clienteFirms.estado(),
+      cache: cache.getStats(),
+      programador: programador.estado(),
+      difusion: difusor.estado(),
+      meteo: proveedorMeteo ? proveedorMeteo.nombre : 'desactivado',
+      uptime: Math.floor(process.uptime())
+    };
+    res.json(health);
+  });
+
+  // Endpoint principal con rate limiting
+  async function responderEventos(req, res, tipo) {
+    // `format` repetido llega como array ("csv,json"): cae en formato no soportado
+    const formato = String(req.query.format || 'json').toLowerCase();
+    const presentacion = resolverPresentacion(req, res);
+    if (!presentacion) return;
+    const { modelo, lang, tz } = presentacion;
+    if (!fuenteValida(req, res, lang) || !bboxValido(req, res, lang)) return;
+    
+    if (tipo !== 'incendios') {
+      return res.status(400).json({ 
+        error: i18n.t(lang, 'error.tipo'),
+        tiposValidos: ['incendios']
+      });
+    }
+    
+    if (formato !== 'json' && !Object.hasOwn(exportacion.FORMATOS, formato)) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.formato'),
+        formatosValidos: ['json', ...Object.keys(exportacion.FORMATOS)]
+      });
+    }
+    
+    const { filtros, error } = consulta.parsearFiltros(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.parametros'),
+        mensaje: error
+      });
+    }
+    
+    if (!FIRMS_LISTO) {
+      return res.status(500).json({
+        error: i18n.t(lang, 'error.apiKey'),
+        mensaje: i18n.t(lang, 'error.apiKeyMensaje')
+      });
+    }
+    
+    try {
+      const resultado = await consultarDetecciones(req.query, presentacion, filtros, { registro: req.log });
+      const { parametros, fuentes, errores, actualizado, desdeCache } = resultado;
+      const { total, datos, paginacion } = consulta.paginar(resultado.datos, filtros, {
+        ruta: req.baseUrl + req.path,
+        query: req.query
+      });
+      metricas.registrarDetecciones(parametros, datos.length);
+      
+      if (formato !== 'json') {
+        const fecha = new Date().toISOString().split('T')[0];
+        const zona = req.query.region || (req.query.bbox ? 'bbox' : 'bolivia');
+        return await exportacion.enviarExportacion(res, formato, datos, {
+          nombre: `incendios_${zona}_${parametros.source}_${parametros.days}d_${fecha}`.replace(/[^\w.-]/g, '_'),
+          titulo: i18n.t(lang, 'exportacion.titulo', { zona, dias: parametros.days }),
+          nivelesConfianza: nivelesConfianza(lang)
+        });
+      }
+      
+      // Sobre con el estado de cada fuente: una caída no se confunde con "sin focos"
+      res.json({
+        total,
+        parcial: errores.length > 0,
+        fuentes,
+        actualizado,
+        cache: desdeCache,
+        modeloRiesgo: `${modelo.id}@${modelo.version}`,
+        idioma: lang,
+        zonaHoraria: tz,
+        paginacion,
+        mensaje: total === 0
+          ? i18n.t(lang, errores.length === fuentes.length ? 'mensaje.sinFuentes' : 'mensaje.sinIncendios')
+          : undefined,
+        datos
+      });
+      
+    } catch (err) {
+      req.log.error('error respondiendo eventos', { error: err });
+      if (res.headersSent) return res.end();
+      res.status(500).json({ 
+        error: i18n.t(lang, 'error.incendios'), 
+        detalle: err.message 
+      });
+    }
+  }
+
+  app.get('/api/eventos', rateLimiter, (req, res) => responderEventos(req, res, req.query.tipo));
+
+  // Cambios en vivo (Server-Sent Events) de la misma consulta que /api/eventos:
+  // `listo` al conectar y `cambios` con { nuevos, actualizados, expirados }
+  // cada vez que llegan datos frescos de FIRMS. Solo regiones con nombre: cada
+  // consulta difundida se refresca contra FIRMS mientras tenga clientes
+  app.get('/api/stream', rateLimiter, async (req, res) => {
+    const presentacion = resolverPresentacion(req, res);
+    if (!presentacion) return;
+    const { lang } = presentacion;
+    if (!fuenteValida(req, res, lang)) return;
+    
+    const { region } = req.query;
+    if (req.query.bbox || (region !== undefined && !(Object.hasOwn(CONFIG.BBOX, region) && CONFIG.BBOX[region]))) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.region'),
+        mensaje: i18n.t(lang, 'error.streamRegion'),
+        regionesValidas: Object.keys(CONFIG.BBOX).filter(k => k !== 'custom')
+      });
+    }
+    
+    const { filtros, error } = consulta.parsearFiltros(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.parametros'),
+        mensaje: error
+      });
+    }
+    
+    if (!FIRMS_LISTO) {
+      return res.status(500).json({
+        error: i18n.t(lang, 'error.apiKey'),
+        mensaje: i18n.t(lang, 'error.apiKeyMensaje')
+      });
+    }
+    
+    try {
+      const parametros = resolverConsulta(req.query);
+      const inicial = await obtenerFocos(parametros, { registro: req.log });
+      
+      const suscrito = difusor.suscribir(res, {
+        clave: claveConsulta(parametros),
+        parametros,
+        inicial,
+        transformar: focos => consulta.filtrar(presentarFocos(focos, presentacion), filtros)
+      });
+      if (!suscrito) {
+        return res.status(503).json({
+          error: i18n.t(lang, 'error.streamLleno'),
+          mensaje: i18n.t(lang, 'error.streamLlenoMensaje')
+        });
+      }
+      
+    } catch (err) {
+      req.log.error('error abriendo stream', { error: err });
+      if (res.headersSent) return res.end();
+      res.status(500).json({
+        error: i18n.t(lang, 'error.stream'),
+        detalle: err.message
+      });
+    }
+  });
+
+  // Incidentes: focos agrupados por cercanía en espacio y tiempo
+  app.get('/api/incidentes', rateLimiter, async (req, res) => {
+    const presentacion = resolverPresentacion(req, res);
+    if (!presentacion) return;
+    const { lang } = presentacion;
+    if (!fuenteValida(req, res, lang) || !bboxValido(req, res, lang)) return;
+    
+    if (!FIRMS_LISTO) {
+      return res.status(500).json({
+        error: i18n.t(lang, 'error.apiKey'),
+        mensaje: i18n.t(lang, 'error.apiKeyMensaje')
+      });
+    }
+    
+    try {
+      const { datos, incidentes, fuentes, errores } = await obtenerFocos(resolverConsulta(req.query), { registro: req.log });
+      
+      res.json({
+        total: incidentes.length,
+        focos: datos.length,
+        parcial: errores.length > 0,
+        fuentes,
+        parametros: {
+          distanciaMaxKm: CONFIG.INCIDENTES.DISTANCIA_MAX_KM,
+          ventanaHoras: CONFIG.INCIDENTES.VENTANA_HORAS
+        },
+        incidentes: presentarIncidentes(incidentes, presentacion)
+      });
+      
+    } catch (err) {
+      req.log.error('error agrupando incidentes', { error: err });
+      res.status(500).json({
+        error: i18n.t(lang, 'error.incidentes'),
+        detalle: err.message
+      });
+    }
+  });
+
+  // Propagación: incidentes con al menos dos pasadas, los que avanzan más rápido primero
+  app.get('/api/propagacion', rateLimiter, async (req, res) => {
+    const presentacion = resolverPresentacion(req, res);
+    if (!presentacion) return;
+    const { lang } = presentacion;
+    if (!fuenteValida(req, res, lang) || !bboxValido(req, res, lang)) return;
+    
+    if (!FIRMS_LISTO) {
+      return res.status(500).json({
+        error: i18n.t(lang, 'error.apiKey'),
+        mensaje: i18n.t(lang, 'error.apiKeyMensaje')
+      });
+    }
+    
+    try {
+      const { incidentes, fuentes, errores } = await obtenerFocos(resolverConsulta(req.query), { registro: req.log });
+      const conPropagacion = presentarIncidentes(incidentes, presentacion)
+        .filter(inc => inc.propagacion)
+        .sort((a, b) => b.propagacion.velocidadMh - a.propagacion.velocidadMh)
+        .map(({ id, centroide, ultimaDeteccion, ultimaDeteccionLocal, detecciones, frpMax, propagacion: p }) => ({
+          id, centroide, ultimaDeteccion, ultimaDeteccionLocal, detecciones, frpMax, ...p
+        }));
+      
+      res.json({
+        total: conPropagacion.length,
+        avanzando: conPropagacion.filter(inc => inc.estado === 'avanzando').length,
+        parcial: errores.length > 0,
+        fuentes,
+        parametros: {
+          separacionPasadaMin: propagacion.SEPARACION_PASADA_MIN,
+          bordeMinKm: propagacion.BORDE_MIN_KM
+        },
+        incidentes: conPropagacion
+      });
+      
+    } catch (err) {
+      req.log.error('error estimando propagación', { error: err });
+      res.status(500).json({
+        error: i18n.t(lang, 'error.propagacion'),
+        detalle: err.message
+      });
+    }
+  });
+
+  // Densidad: focos agregados en una grilla (?forma=cuadrada|hexagonal&tamano=grados)
+  // con los mismos filtros que /api/eventos; evita enviar cada punto al navegador
+  app.get('/api/densidad', rateLimiter, async (req, res) => {
+    const presentacion = resolverPresentacion(req, res);
+    if (!presentacion) return;
+    const { lang } = presentacion;
+    if (!fuenteValida(req, res, lang) || !bboxValido(req, res, lang)) return;
+    
+    const grilla = densidad.parsearGrilla(req.query);
+    const { filtros, error } = grilla.error ? {} : consulta.parsearFiltros(req.query);
+    if (grilla.error || error) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.parametros'),
+        mensaje: grilla.error || error
+      });
+    }
+    
+    if (!FIRMS_LISTO) {
+      return res.status(500).json({
+        error: i18n.t(lang, 'error.apiKey'),
+        mensaje: i18n.t(lang, 'error.apiKeyMensaje')
+      });
+    }
+    
+    try {
+      const resultado = await consultarDetecciones(req.query, presentacion, filtros, { registro: req.log });
+      const { datos } = resultado;
+      
+      res.json({
+        forma: grilla.forma,
+        tamano: grilla.tamano,
+        total: datos.length,
+        parcial: resultado.errores.length > 0,
+        fuentes: resultado.fuentes,
+        actualizado: resultado.actualizado,
+        ...densidad.agregarEnGrilla(datos, grilla)
+      });
+      
+    } catch (err) {
+      req.log.error('error calculando densidad', { error: err });
+      res.status(500).json({
+        error: i18n.t(lang, 'error.densidad'),
+        detalle: err.message
+      });
+    }
+  });
+
+  // Huellas de área quemada por día local y departamento (GeoJSON + hectáreas),
+  // con los mismos filtros que /api/eventos
+  // La unión de píxeles es costosa: se reutiliza mientras no cambien los focos
+  // en cache. /api/estadisticas?area=true comparte el mismo resultado
+  function huellasEnCache(resultado, filtros, { modelo, tz }) {
+    const { parametros, actualizado } = resultado;
+    const { sort, limit, offset, fields, ...filtrosArea } = filtros;
+    const cacheKey = `huellas-${parametros.source}-${parametros.days}-${parametros.bbox}-${parametros.region}-${actualizado}-${modelo.id}@${modelo.version}-${tz}-${JSON.stringify(filtrosArea)}`;
+    let calculadas = cache.get(cacheKey);
+    metricas.registrarCache('huellas', Boolean(calculadas));
+    if (!calculadas) {
+      calculadas = huellas.calcularHuellas(resultado.datos, { tz });
+      cache.set(cacheKey, calculadas);
+    }
+    return calculadas;
+  }
+
+  app.get('/api/huellas', rateLimiter, async (req, res) => {
+    const presentacion = resolverPresentacion(req, res);
+    if (!presentacion) return;
+    const { lang, tz } = presentacion;
+    if (!fuenteValida(req, res, lang) || !bboxValido(req, res, lang)) return;
+    
+    const { filtros, error } = consulta.parsearFiltros(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.parametros'),
+        mensaje: error
+      });
+    }
+    
+    if (!FIRMS_LISTO) {
+      return res.status(500).json({
+        error: i18n.t(lang, 'error.apiKey'),
+        mensaje: i18n.t(lang, 'error.apiKeyMensaje')
+      });
+    }
+    
+    try {
+      const resultado = await consultarDetecciones(req.query, presentacion, filtros, { registro: req.log });
+      const calculadas = huellasEnCache(resultado, filtros, presentacion);
+      
+      res.json({
+        parcial: resultado.errores.length > 0,
+        fuentes: resultado.fuentes,
+        actualizado: resultado.actualizado,
+        zonaHoraria: tz,
+        ...calculadas
+      });
+      
+    } catch (err) {
+      req.log.error('error calculando huellas', { error: err });
+      res.status(500).json({
+        error: i18n.t(lang, 'error.huellas'),
+        detalle: err.message
+      });
+    }
+  });
+
+  // Estadísticas de los mismos focos que /api/eventos (mismos filtros, sin
+  // paginar), así los totales coinciden con los puntos del mapa
+  app.get('/api/estadisticas', rateLimiter, async (req, res) => {
+    const presentacion = resolverPresentacion(req, res);
+    if (!presentacion) return;
+    const { modelo, lang, tz } = presentacion;
+    if (!fuenteValida(req, res, lang) || !bboxValido(req, res, lang)) return;
+    
+    const { filtros, error } = consulta.parsearFiltros(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.parametros'),
+        mensaje: error
+      });
+    }
+    
+    if (!FIRMS_LISTO) {
+      return res.status(500).json({
+        error: i18n.t(lang, 'error.apiKey'),
+        mensaje: i18n.t(lang, 'error.apiKeyMensaje')
+      });
+    }
+    
+    try {
+      const resultado = await consultarDetecciones(req.query, presentacion, filtros, { registro: req.log });
+      const { parametros, errores, actualizado } = resultado;
+      
+      // Se recalcula cuando cambian los focos en cache (`actualizado`); orden,
+      // página y campos no cambian las estadísticas. El área real (unión de
+      // píxeles) solo con ?area=true
+      const { sort, limit, offset, fields, ...filtrosStats } = filtros;
+      const conArea = req.query.area === 'true';
+      const cacheKey = `stats-${parametros.source}-${parametros.days}-${parametros.bbox}-${parametros.region}-${actualizado}-${modelo.id}@${modelo.version}-${lang}-${tz}-${conArea}-${JSON.stringify(filtrosStats)}`;
+      let stats = statsCache.get(cacheKey);
+      metricas.registrarCache('estadisticas', Boolean(stats));
+      
+      if (stats) {
+        req.log.debug('estadísticas desde cache', { cacheKey });
+      } else {
+        stats = obtenerEstadisticas(resultado.datos, tz, {
+          huellas: conArea ? huellasEnCache(resultado, filtros, presentacion).resumen : undefined
+        });
+        statsCache.set(cacheKey, stats);
+      }
+      
+      res.json({
+        ...stats,
+        parcial: errores.length > 0,
+        actualizado
+      });
+      
+    } catch (err) {
+      req.log.error('error calculando estadísticas', { error: err });
+      res.status(500).json({ 
+        error: i18n.t(lang, 'error.estadisticas'), 
+        detalle: err.message 
+      });
+    }
+  });
+
+  // Rango `desde`/`hasta` (días locales en `tz`), región y bbox de una consulta
+  // al archivo. `diasPorDefecto` permite omitir `desde`. Responde 400 y devuelve
+  // null si algo es inválido
+  function resolverRango(req, res, { lang, tz }, { diasPorDefecto } = {}) {
+    const { region } = req.query;
+    const hasta = req.query.hasta || tiempo.fechaDeHoy(tz);
+    let { desde } = req.query;
+    if (!desde && diasPorDefecto) {
+      const inicio = tiempo.inicioDelDia(hasta, tz, 1 - diasPorDefecto);
+      if (inicio !== null) desde = tiempo.fechaISO(inicio, tz);
+    }
+    const desdeTs = tiempo.inicioDelDia(desde, tz);
+    const hastaTs = tiempo.inicioDelDia(hasta, tz, 1); // exclusivo: incluye todo el día "hasta"
+    
+    if (desdeTs === null || hastaTs === null) {
+      res.status(400).json({
+        error: i18n.t(lang, 'error.fechas'),
+        mensaje: i18n.t(lang, 'error.fechasMensaje')
+      });
+      return null;
+    }
+    
+    if (desde > hasta) {
+      res.status(400).json({
+        error: i18n.t(lang, 'error.rango'),
+        mensaje: i18n.t(lang, 'error.rangoMensaje')
+      });
+      return null;
+    }
+    
+    if (region && !(Object.hasOwn(CONFIG.BBOX, region) && CONFIG.BBOX[region])) {
+      res.status(400).json({
+        error: i18n.t(lang, 'error.region'),
+        regionesValidas: Object.keys(CONFIG.BBOX).filter(k => k !== 'custom')
+      });
+      return null;
+    }
+    
+    const extension = !region && req.query.bbox !== undefined ? geografia.parsearBbox(req.query.bbox) : null;
+    if (!region && req.query.bbox !== undefined && !extension) {
+      res.status(400).json({
+        error: i18n.t(lang, 'error.bbox'),
+        mensaje: i18n.t(lang, 'error.bboxMensaje')
+      });
+      return null;
+    }
+    
+    return { desde, hasta, desdeTs, hastaTs, bbox: region ? CONFIG.BBOX[region] : extension && extension.join(',') };
+  }
+
+  // Detecciones archivadas del rango, recortadas al polígono de la región
+  async function consultarArchivo({ desdeTs, hastaTs, bbox }, { region, source }) {
+    const archivados = await historicoDb.consultarHistorico({
+      desde: desdeTs,
+      hasta: hastaTs,
+      bbox,
+      source
+    });
+    return archivados.filter(item => geografia.perteneceARegion(item, region));
+  }
+
+  // Archivo histórico por rango de fechas (días locales en la zona ?tz=), con los
+  // filtros de /api/eventos y paginado igual (sin `limit`, páginas de LIMITE_MAXIMO)
+  app.get('/api/historico', rateLimiter, async (req, res) => {
+    const { region, source } = req.query;
+    
+    const presentacion = resolverPresentacion(req, res);
+    if (!presentacion) return;
+    const { modelo, lang, tz } = presentacion;
+    if (!fuenteValida(req, res, lang)) return;
+    
+    const rango = resolverRango(req, res, presentacion);
+    if (!rango) return;
+    const { desde, hasta } = rango;
+    
+    if ((rango.hastaTs - rango.desdeTs) / (24 * 60 * 60 * 1000) > historico.MAX_DIAS_CONSULTA) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.rango'),
+        mensaje: i18n.t(lang, 'error.rangoHistorico', { max: historico.MAX_DIAS_CONSULTA })
+      });
+    }
+    
+    // Aquí `desde`/`hasta` son días del rango, no los instantes de /api/eventos
+    const { filtros, error } = consulta.parsearFiltros({ ...req.query, desde: undefined, hasta: undefined });
+    if (error) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.parametros'),
+        mensaje: error
+      });
+    }
+    
+    try {
+      const enRegion = await consultarArchivo(rango, req.query);
+      const focos = presentarFocos(enRegion.map(areasProtegidas.etiquetar), presentacion, { siempre: true });
+      const { total, datos, paginacion } = consulta.aplicarConsulta(focos, {
+        ...filtros,
+        limit: filtros.limit ?? consulta.LIMITE_MAXIMO
+      }, {
+        ruta: req.baseUrl + req.path,
+        query: req.query
+      });
+      
+      res.json({
+        desde,
+        hasta,
+        region: region || null,
+        source: source || 'ALL',
+        modeloRiesgo: `${modelo.id}@${modelo.version}`,
+        idioma: lang,
+        zonaHoraria: tz,
+        total,
+        paginacion,
+        datos
+      });
+      
+    } catch (err) {
+      req.log.error('error consultando histórico', { error: err });
+      res.status(500).json({
+        error: i18n.t(lang, 'error.historico'),
+        detalle: err.message
+      });
+    }
+  });
+
+  // Series temporales del archivo: ?intervalo=dia|hora, desde/hasta en días locales
+  // (por defecto los últimos 30 días)
+  app.get('/api/series', rateLimiter, async (req, res) => {
+    const { region, source } = req.query;
+    const intervalo = req.query.intervalo || 'dia';
+    
+    const presentacion = resolverPresentacion(req, res);
+    if (!presentacion) return;
+    const { lang, tz } = presentacion;
+    if (!fuenteValida(req, res, lang)) return;
+    
+    if (!Object.hasOwn(series.INTERVALOS, intervalo)) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.parametros'),
+        intervalosValidos: Object.keys(series.INTERVALOS)
+      });
+    }
+    
+    const rango = resolverRango(req, res, presentacion, { diasPorDefecto: 30 });
+    if (!rango) return;
+    
+    const cantidad = (rango.hastaTs - rango.desdeTs) / (24 * 60 * 60 * 1000) * series.INTERVALOS[intervalo];
+    if (cantidad > series.MAX_INTERVALOS[intervalo]) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.rango'),
+        mensaje: i18n.t(lang, 'error.rangoSerie', { max: series.MAX_INTERVALOS[intervalo], intervalo })
+      });
+    }
+    
+    try {
+      const datos = await consultarArchivo(rango, req.query);
+      const serie = series.construirSerie(datos, { intervalo, ...rango, tz });
+      
+      res.json({
+        desde: rango.desde,
+        hasta: rango.hasta,
+        intervalo,
+        region: region || null,
+        source: source || 'ALL',
+        zonaHoraria: tz,
+        resumen: series.resumirSerie(serie),
+        serie
+      });
+      
+    } catch (err) {
+      req.log.error('error construyendo serie', { error: err });
+      res.status(500).json({
+        error: i18n.t(lang, 'error.series'),
+        detalle: err.message
+      });
+    }
+  });
+
+  // Suscripciones de alerta por área de interés (entrega por webhook). Requieren
+  // una clave de socio: el servidor hace POST a la URL que se registre
+  const accesoAlertas = [requiereRol('socio'), rateLimiter];
+  
+  // Cada clave ve y elimina solo sus suscripciones (la URL del webhook es
+  // secreta); admin, todas. Las ajenas responden 404, como las inexistentes
+  const propietarioAlertas = req => ({ clienteId: req.cliente.rol === 'admin' ? undefined : req.cliente.id });
+  
+  app.post('/api/alertas', accesoAlertas, async (req, res) => {
+    const { suscripcion, error } = alertas.validarSuscripcion(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        error: 'Suscripción inválida',
+        mensaje: error
+      });
+    }
+    
+    try {
+      const creada = await alertasDb.crearSuscripcion(suscripcion, { clienteId: req.cliente.id });
+      res.status(201).json(creada);
+    } catch (err) {
+      req.log.error('error creando suscripción', { error: err });
+      res.status(500).json({
+        error: 'Error creando suscripción',
+        detalle: err.message
+      });
+    }
+  });
+
+  app.get('/api/alertas/:id', accesoAlertas, async (req, res) => {
+    try {
+      const suscripcion = await alertasDb.obtenerSuscripcion(req.params.id, propietarioAlertas(req));
+      if (!suscripcion) {
+        return res.status(404).json({ error: 'Suscripción no encontrada' });
+      }
+      res.json(suscripcion);
+    } catch (err) {
+      res.status(500).json({
+        error: 'Error obteniendo suscripción',
+        detalle: err.message
+      });
+    }
+  });
+
+  app.delete('/api/alertas/:id', accesoAlertas, async (req, res) => {
+    try {
+      const eliminada = await alertasDb.eliminarSuscripcion(req.params.id, propietarioAlertas(req));
+      if (!eliminada) {
+        return res.status(404).json({ error: 'Suscripción no encontrada' });
+      }
+      res.json({ mensaje: 'Suscripción eliminada', id: req.params.id });
+    } catch (err) {
+      res.status(500).json({
+        error: 'Error eliminando suscripción',
+        detalle: err.message
+      });
+    }
+  });
+
+  // Alias /api/incendios: mismo handler con tipo fijo (admite format=geojson|kml|csv)
+  app.get('/api/incendios', rateLimiter, (req, res) => responderEventos(req, res, 'incendios'));
+
+  // Endpoint simple para ver si el backend responde sin tocar NASA
+  app.get('/incendios', (req, res) => {
+    res.json({ ok: true, mensaje: 'Backend activo', ejemplo: '/api/incendios?days=3&source=VIIRS_SNPP_NRT&region=bolivia' });
+  });
+
+  app.get('/api/fuentes', (req, res) => {
+    res.json({
+      fuentes: CONFIG.SOURCES,
+      nivelesConfianza: nivelesConfianza(idiomaDe(req)),
+      nivelesSeveridad: Object.fromEntries(consulta.SEVERIDADES.map(sev => [sev, i18n.t(idiomaDe(req), `severidad.${sev}`)])),
+      escalaConfianzaVIIRS: normalizacion.ESCALA_CONFIANZA_VIIRS,
+      columnasPorProducto: normalizacion.PRODUCTOS,
+      descripcion: {
+        'VIIRS_SNPP_NRT': 'Satélite Suomi NPP con sensor VIIRS. Resolución: 375m. Actualización: cada 3 horas.',
+        'VIIRS_NOAA20_NRT': 'Satélite NOAA-20 con sensor VIIRS. Resolución: 375m. Cobertura global diaria.',
+        'MODIS_NRT': 'Satélites Terra y Aqua con sensor MODIS. Resolución: 1km. Histórico desde 2000.',
+        'VIIRS_NOAA21_NRT': 'Satélite NOAA-21 (más reciente). Resolución: 375m. Mayor frecuencia de paso.'
+      }
+    });
+  });
+
+  // Peligro meteorológico actual por departamento (GeoJSON para la capa del mapa)
+  app.get('/api/meteo/regiones', rateLimiter, async (req, res) => {
+    const lang = idiomaDe(req);
+    if (!proveedorMeteo) {
+      return res.status(503).json({
+        error: i18n.t(lang, 'error.meteoDesactivado'),
+        mensaje: i18n.t(lang, 'error.meteoDesactivadoMensaje')
+      });
+    }
+    
+    // La región forma la clave de cache: solo las definidas en CONFIG.BBOX
+    const region = req.query.region || 'bolivia';
+    if (!(typeof region === 'string' && Object.hasOwn(CONFIG.BBOX, region) && CONFIG.BBOX[region])) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.region'),
+        regionesValidas: Object.keys(CONFIG.BBOX).filter(k => k !== 'custom')
+      });
+    }
+    
+    const limites = geografia.obtenerLimites(region);
+    if (!limites) {
+      return res.status(503).json({ error: i18n.t(lang, 'error.sinLimites') });
+    }
+    
+    const cacheKey = `meteo-regiones-${region}`;
+    const cached = cache.get(cacheKey);
+    metricas.registrarCache('meteo', Boolean(cached));
+    if (cached) return res.json(cached);
+    
+    try {
+      const resultado = {
+        proveedor: proveedorMeteo.nombre,
+        clases: meteo.CLASES_PELIGRO,
+        ...await meteo.peligroPorRegion(limites, proveedorMeteo)
+      };
+      cache.set(cacheKey, resultado, CONFIG.METEO.TTL_REGIONES_S);
+      res.json(resultado);
+    } catch (err) {
+      req.log.error('error calculando meteo por región', { error: err });
+      res.status(502).json({
+        error: i18n.t(lang, 'error.meteo'),
+        detalle: err.message
+      });
+    }
+  });
+
+  // Áreas protegidas y TCO cargadas (capa del mapa)
+  app.get('/api/areas-protegidas', (req, res) => {
+    const lang = idiomaDe(req);
+    const { tipo } = req.query;
+    if (tipo && !areasProtegidas.TIPOS.includes(tipo)) {
+      return res.status(400).json({
+        error: i18n.t(lang, 'error.parametros'),
+        tiposValidos: areasProtegidas.TIPOS
+      });
+    }
+    if (!areasProtegidas.disponibles) {
+      return res.status(503).json({
+        error: i18n.t(lang, 'error.sinAreas'),
+        mensaje: i18n.t(lang, 'error.sinAreasMensaje')
+      });
+    }
+    res.json(areasProtegidas.obtenerCapa(tipo));
+  });
+
+  // Modelos de riesgo disponibles con sus reglas (para justificar cada puntaje)
+  app.get('/api/riesgo/modelos', (req, res) => {
+    res.json(riesgo.listarModelos(idiomaDe(req)));
+  });
+
+  app.get('/api/regiones', (req, res) => {
+    res.json({
+      regiones: Object.keys(CONFIG.BBOX).filter(k => k !== 'custom'),
+      coordenadas: CONFIG.BBOX,
+      descripcion: {
+        'bolivia': 'Todo el territorio boliviano',
+        'santaCruz': 'Departamento de Santa Cruz',
+        'laPaz': 'Departamento de La Paz',
+        'beni': 'Departamento del Beni',
+        'pando': 'Departamento de Pando',
+        'tarija': 'Departamento de Tarija',
+        'cochabamba': 'Departamento de Cochabamba',
+        'oruro': 'Departamento de Oruro',
+        'potosi': 'Departamento de Potosí',
+        'chuquisaca': 'Departamento de Chuquisaca'
+      },
+      areasProtegidas: areasProtegidas.disponibles,
+      limites: geografia.obtenerLimites(req.query.region)
+    });
+  });
+
+  app.get('/api/validar', rateLimiter, async (req, res) => {
+    if (clienteFirms.modo === 'fixture') {
+      return res.json({
+        valido: true,
+        modo: 'fixture',
+        mensaje: 'Modo fixture: los datos salen de CSV locales y no se usa MAP_KEY'
+      });
+    }
+    
+    if (!FIRMS_KEY) {
+      return res.status(500).json({ 
+        valido: false, 
+        error: 'MAP_KEY no configurado en .env' 
+      });
+    }
+    
+    try {
+      const testUrl = firms.urlArea(FIRMS_KEY, 'VIIRS_SNPP_NRT', '-69,-17,-68,-16', 1);
+      const response = await fetch(testUrl, { timeout: 5000 });
+      const text = await response.text();
+      
+      if (text.includes('Invalid MAP_KEY')) {
+        return res.json({ valido: false, error: 'MAP_KEY inválido' });
+      }
+      
+      res.json({ 
+        valido: true, 
+        mensaje: 'API key válida y funcionando',
+        limite: 'Sin límite para uso académico/investigación'
+      });
+      
+    } catch (err) {
+      res.status(500).json({ 
+        valido: false, 
+        error: 'Error validando API key',
+        // El error de red de node-fetch incluye la URL, con la MAP_KEY
+        detalle: log.redactar(err.message)
+      });
+    }
+  });
+
+  // ============= CLAVES DE API =============
+  
+  // Clave, rol, cuota y uso de quien llama (sin clave: cuota pública por IP)
+  app.get('/api/cuenta', (req, res) => {
+    const { id = null, nombre = null, prefijo = null, rol, cuotaPorHora, uso = null, ultimoUso = null } = req.cliente;
+    res.json({
+      id,
+      nombre,
+      prefijo,
+      rol,
+      cuotaPorHora,
+      usadasUltimaHora: solicitudesRecientes(req).length,
+      uso,
+      ultimoUso
+    });
+  });
+  
+  app.get('/api/claves', requiereRol('admin'), async (req, res) => {
+    try {
+      const lista = await clavesDb.listarClaves();
+      res.json({ total: lista.length, roles: clavesApi.ROLES, claves: lista });
+    } catch (err) {
+      res.status(500).json({
+        error: i18n.t(idiomaDe(req), 'error.claves'),
+        detalle: err.message
+      });
+    }
+  });
+  
+  app.post('/api/claves', requiereRol('admin'), async (req, res) => {
+    const { datos, error } = clavesApi.validarClave(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: i18n.t(idiomaDe(req), 'error.parametros'),
+        mensaje: error
+      });
+    }
+    
+    try {
+      const creada = await clavesDb.crearClave(datos);
+      req.log.info('clave creada', { clave: creada.id, nombre: creada.nombre, rol: creada.rol, prefijo: creada.prefijo });
+      res.status(201).json(creada);
+    } catch (err) {
+      req.log.error('error creando clave', { error: err });
+      res.status(500).json({
+        error: i18n.t(idiomaDe(req), 'error.claves'),
+        detalle: err.message
+      });
+    }
+  });
+  
+  app.get('/api/claves/:id', requiereRol('admin'), async (req, res) => {
+    try {
+      const clave = await clavesDb.obtenerClave(req.params.id);
+      if (!clave) {
+        return res.status(404).json({ error: i18n.t(idiomaDe(req), 'error.claveNoEncontrada') });
+      }
+      res.json(clave);
+    } catch (err) {
+      res.status(500).json({
+        error: i18n.t(idiomaDe(req), 'error.claves'),
+        detalle: err.message
+      });
+    }
+  });
+  
+  app.patch('/api/claves/:id', requiereRol('admin'), async (req, res) => {
+    const { datos, error } = clavesApi.validarClave(req.body, { parcial: true });
+    if (error) {
+      return res.status(400).json({
+        error: i18n.t(idiomaDe(req), 'error.parametros'),
+        mensaje: error
+      });
+    }
+    
+    try {
+      const clave = await clavesDb.actualizarClave(req.params.id, datos);
+      if (!clave) {
+        return res.status(404).json({ error: i18n.t(idiomaDe(req), 'error.claveNoEncontrada') });
+      }
+      res.json(clave);
+    } catch (err) {
+      res.status(500).json({
+        error: i18n.t(idiomaDe(req), 'error.claves'),
+        detalle: err.message
+      });
+    }
+  });
+  
+  app.delete('/api/claves/:id', requiereRol('admin'), async (req, res) => {
+    try {
+      const eliminada = await clavesDb.eliminarClave(req.params.id);
+      if (!eliminada) {
+        return res.status(404).json({ error: i18n.t(idiomaDe(req), 'error.claveNoEncontrada') });
+      }
+      res.json({ mensaje: 'Clave revocada', id: req.params.id });
+    } catch (err) {
+      res.status(500).json({
+        error: i18n.t(idiomaDe(req), 'error.claves'),
+        detalle: err.message
+      });
+    }
+  });
+  
+  // Limpiar cache manualmente (solo administración)
+  app.post('/api/cache/clear', requiereRol('admin'), (req, res) => {
+    const keysDeleted = cache.keys().length;
+    cache.flushAll();
+    statsCache.flushAll();
+    
+    res.json({
+      mensaje: 'Cache limpiado',
+      keysEliminadas: keysDeleted
+    });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({
+      error: i18n.t(idiomaDe(req), 'error.noEncontrado'),
+      disponibles: ['/api', '/api/eventos', '/api/stream', '/api/estadisticas', '/api/incidentes', '/api/propagacion', '/api/densidad', '/api/huellas', '/api/historico', '/api/series', '/api/alertas', '/api/fuentes', '/api/riesgo/modelos', '/api/meteo/regiones', '/api/areas-protegidas', '/api/regiones', '/api/cuenta', '/api/claves']
+    });
+  });
+
+  // Error handler
+  app.use((err, req, res, next) => {
+    req.log.error('error no manejado', { error: err });
+    const lang = idiomaDe(req);
+    res.status(500).json({
+      error: i18n.t(lang, 'error.interno'),
+      mensaje: process.env.NODE_ENV === 'development' ? err.message : i18n.t(lang, 'error.internoMensaje'),
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Estado compartido con quien monta la app (server.js inicia el programador)
+  Object.assign(app.locals, {
+    config: CONFIG,
+    cache,
+    statsCache,
+    clienteFirms,
+    proveedorMeteo,
+    historico: historicoDb,
+    alertas: alertasDb,
+    clavesApi: clavesDb,
+    programador,
+    difusor,
+    metricas,
+    firmsListo: FIRMS_LISTO
+  });
+  
+  return app;
+}
+
+module.exports = {
+  crearConfig,
+  createApp
+};
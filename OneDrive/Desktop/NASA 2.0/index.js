@@ -0,0 +1,27 @@
+// backend/index.js
+// API pública como biblioteca: la app embebible y las funciones de parseo, riesgo, estadísticas y logs
+const { createApp, crearConfig } = require('./app');
+const firms = require('./services/firms');
+const { NIVELES_CONFIANZA, parseCsv, parseFechaFirms, mapFirmsRow } = require('./services/firmsCsv');
+const { normalizarFila } = require('./services/normalizacion');
+const riesgo = require('./services/riesgo');
+const { obtenerEstadisticas } = require('./services/estadisticas');
+const log = require('./services/log');
+
+module.exports = {
+  createApp,
+  crearConfig,
+  crearClienteFirms: firms.crearCliente,
+  NIVELES_CONFIANZA,
+  parseCsv,
+  parseFechaFirms,
+  normalizarFila,
+  mapFirmsRow,
+  obtenerModelo: riesgo.obtenerModelo,
+  listarModelos: riesgo.listarModelos,
+  evaluarRiesgo: riesgo.evaluarRiesgo,
+  categorizar: riesgo.categorizar,
+  aplicarModelo: riesgo.aplicarModelo,
+  obtenerEstadisticas,
+  crearLogger: log.crearLogger
+};
@@ -0,0 +1,287 @@
+// backend/services/alertas.js
+// Suscripciones de alerta por área de interés con entrega por webhook
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fetch = require('node-fetch');
+const Datastore = require('@seald-io/nedb');
+const { puntoEnGeometria, calcularExtension, parsearBbox } = require('./geografia');
+const { idDeteccion } = require('./historico');
+const log = require('./log');
+
+const SEVERIDADES = ['baja', 'media', 'alta', 'muy_alta'];
+const NOTIFICADAS_TTL_S = 30 * 24 * 60 * 60; // olvidar envíos tras 30 días
+
+// Destinos que un webhook no puede alcanzar: loopback, enlace local (metadatos
+// de la nube en 169.254.169.254), redes privadas, CGNAT y multicast
+const DESTINOS_BLOQUEADOS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([red, prefijo]) => DESTINOS_BLOQUEADOS.addSubnet(red, prefijo, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([red, prefijo]) => DESTINOS_BLOQUEADOS.addSubnet(red, prefijo, 'ipv6'));
+
+function destinoBloqueado(direccion) {
+  const familia = net.isIP(direccion);
+  return familia === 0 || DESTINOS_BLOQUEADOS.check(direccion, familia === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Resolución DNS que rechaza los destinos bloqueados. Va en el agente, así se
+// valida la dirección a la que realmente se conecta (también si el DNS cambia)
+function resolverDestino(hostname, opciones, callback) {
+  dns.lookup(hostname, opciones, (err, direccion, familia) => {
+    if (err) return callback(err);
+    const direcciones = Array.isArray(direccion) ? direccion.map(d => d.address) : [direccion];
+    const bloqueada = direcciones.find(destinoBloqueado);
+    if (bloqueada) return callback(new Error(`destino no permitido para webhooks (${bloqueada})`));
+    callback(null, direccion, familia);
+  });
+}
+
+const agentes = {
+  'http:': new http.Agent({ lookup: resolverDestino }),
+  'https:': new https.Agent({ lookup: resolverDestino })
+};
+
+// Nombres que nunca pasan por DNS: IP literal (sin corchetes) o localhost
+function hostBloqueado(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return destinoBloqueado(host);
+  return host === 'localhost' || host.endsWith('.localhost');
+}
+
+const esPosicion = p => Array.isArray(p) && p.length >= 2 &&
+  Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+  Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90;
+
+// Anillo GeoJSON: al menos 4 posiciones [lng, lat] y cerrado (primera = última)
+function esAnillo(anillo) {
+  if (!Array.isArray(anillo) || anillo.length < 4 || !anillo.every(esPosicion)) return false;
+  const [primera, ultima] = [anillo[0], anillo[anillo.length - 1]];
+  return primera[0] === ultima[0] && primera[1] === ultima[1];
+}
+
+const esPoligono = anillos => Array.isArray(anillos) && anillos.length > 0 && anillos.every(esAnillo);
+
+function geometriaValida(geometria) {
+  if (!geometria || !Array.isArray(geometria.coordinates)) return false;
+  if (geometria.type === 'Polygon') return esPoligono(geometria.coordinates);
+  if (geometria.type === 'MultiPolygon') {
+    return geometria.coordinates.length > 0 && geometria.coordinates.every(esPoligono);
+  }
+  return false;
+}
+
+/**
+ * Valida el cuerpo de POST /api/alertas.
+ * Devuelve { suscripcion } lista para guardar o { error } con el motivo.
+ */
+function validarSuscripcion(body = {}) {
+  const { nombre, webhookUrl, bbox, poligono, minConfianza, minFRP, minSeveridad } = body;
+
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch (e) {
+    return { error: 'webhookUrl inválida' };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { error: 'webhookUrl debe usar http o https' };
+  }
+  if (hostBloqueado(url.hostname)) {
+    return { error: 'webhookUrl no puede apuntar a localhost ni a direcciones privadas o de enlace local' };
+  }
+
+  let area;
+  if (poligono) {
+    const geometria = poligono.type === 'Feature' ? poligono.geometry : poligono;
+    if (!geometriaValida(geometria)) {
+      return { error: 'poligono debe ser un GeoJSON Polygon o MultiPolygon con anillos cerrados de al menos 4 puntos [lng, lat]' };
+    }
+    area = { tipo: 'poligono', geometria, extension: calcularExtension(geometria) };
+  } else if (bbox) {
+    const extension = parsearBbox(bbox);
+    if (!extension) {
+      return { error: 'bbox debe ser minLng,minLat,maxLng,maxLat' };
+    }
+    area = { tipo: 'bbox', extension };
+  } else {
+    return { error: 'Se requiere bbox o poligono' };
+  }
+
+  if (minSeveridad && !SEVERIDADES.includes(minSeveridad)) {
+    return { error: `minSeveridad debe ser una de: ${SEVERIDADES.join(', ')}` };
+  }
+
+  return {
+    suscripcion: {
+      nombre: nombre ? String(nombre).slice(0, 120) : 'Sin nombre',
+      webhookUrl: url.toString(),
+      area,
+      minConfianza: Math.min(100, Math.max(0, parseFloat(minConfianza) || 0)),
+      minFRP: Math.max(0, parseFloat(minFRP) || 0),
+      minSeveridad: minSeveridad || 'baja',
+      activa: true,
+      creada: new Date().toISOString()
+    }
+  };
+}
+
+function formatearSuscripcion({ _id, area, ...resto }) {
+  return {
+    id: _id,
+    ...resto,
+    area: area.tipo === 'bbox'
+      ? { tipo: 'bbox', bbox: area.extension }
+      : { tipo: 'poligono', geometria: area.geometria }
+  };
+}
+
+function cumpleFiltros(item, sub) {
+  const [minLng, minLat, maxLng, maxLat] = sub.area.extension;
+  if (item.lng < minLng || item.lng > maxLng || item.lat < minLat || item.lat > maxLat) return false;
+  if (sub.area.tipo === 'poligono' && !puntoEnGeometria(item.lng, item.lat, sub.area.geometria)) return false;
+  if ((item.confianza || 0) < sub.minConfianza) return false;
+  if ((item.frp || 0) < sub.minFRP) return false;
+  return SEVERIDADES.indexOf(item.severidad) >= SEVERIDADES.indexOf(sub.minSeveridad);
+}
+
+async function enviarWebhook(sub, detecciones) {
+  // Una IP literal no pasa por `resolverDestino`: se revisa aquí
+  const url = new URL(sub.webhookUrl);
+  if (hostBloqueado(url.hostname)) {
+    throw new Error(`destino no permitido para webhooks (${url.hostname})`);
+  }
+
+  const response = await fetch(url.toString(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      suscripcion: { id: sub._id, nombre: sub.nombre },
+      total: detecciones.length,
+      detecciones,
+      enviado: new Date().toISOString()
+    }),
+    timeout: 10000,
+    agent: destino => agentes[destino.protocol],
+    // Una redirección podría llevar a un destino bloqueado: cuenta como fallo
+    redirect: 'manual'
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Abre las bases de suscripciones (`archivo`) y de envíos ya notificados
+ * (`archivoNotificadas`); null las deja en memoria. Cada app crea las suyas:
+ * importar el módulo no abre nada.
+ */
+function crearAlertas({ archivo, archivoNotificadas }) {
+  const suscripciones = new Datastore({ filename: archivo || undefined, autoload: true });
+
+  // Registro de (suscripción, detección) ya notificados
+  const notificadas = new Datastore({ filename: archivoNotificadas || undefined, autoload: true });
+
+  [
+    { fieldName: 'clave', unique: true },
+    { fieldName: 'fecha', expireAfterSeconds: NOTIFICADAS_TTL_S }
+  ].forEach(indice => {
+    notificadas.ensureIndexAsync(indice)
+      .catch(err => log.error('error creando índice de alertas notificadas', { archivo: archivoNotificadas, campo: indice.fieldName, error: err }));
+  });
+
+  // `clienteId` es la clave de API que la crea: solo ella (o admin) la ve o elimina
+  async function crearSuscripcion(suscripcion, { clienteId }) {
+    const doc = await suscripciones.insertAsync({ ...suscripcion, clienteId });
+    return formatearSuscripcion(doc);
+  }
+
+  // Con `clienteId`, solo si pertenece a esa clave; sin él (admin), cualquiera
+  const filtroSuscripcion = (id, clienteId) => (clienteId === undefined ? { _id: id } : { _id: id, clienteId });
+
+  async function obtenerSuscripcion(id, { clienteId } = {}) {
+    const doc = await suscripciones.findOneAsync(filtroSuscripcion(id, clienteId));
+    return doc ? formatearSuscripcion(doc) : null;
+  }
+
+  async function eliminarSuscripcion(id, { clienteId } = {}) {
+    const eliminadas = await suscripciones.removeAsync(filtroSuscripcion(id, clienteId), {});
+    if (eliminadas) await notificadas.removeAsync({ suscripcionId: id }, { multi: true });
+    return eliminadas > 0;
+  }
+
+  async function evaluar(detecciones) {
+    const activas = await suscripciones.findAsync({ activa: true });
+
+    for (const sub of activas) {
+      const candidatas = new Map();
+      detecciones
+        .filter(item => cumpleFiltros(item, sub))
+        .forEach(item => candidatas.set(`${sub._id}|${idDeteccion(item)}`, item));
+
+      if (!candidatas.size) continue;
+
+      const yaEnviadas = await notificadas.findAsync({ clave: { $in: [...candidatas.keys()] } }, { clave: 1 });
+      yaEnviadas.forEach(doc => candidatas.delete(doc.clave));
+
+      if (!candidatas.size) continue;
+
+      try {
+        await enviarWebhook(sub, [...candidatas.values()]);
+        const fecha = new Date();
+        await notificadas.insertAsync([...candidatas.keys()].map(clave => ({
+          clave,
+          suscripcionId: sub._id,
+          fecha
+        })));
+        await suscripciones.updateAsync(
+          { _id: sub._id },
+          { $set: { ultimoEnvio: fecha.toISOString() }, $inc: { enviadas: candidatas.size } },
+          {}
+        );
+        log.info('alerta notificada', { alerta: sub._id, nombre: sub.nombre, focos: candidatas.size });
+      } catch (err) {
+        log.error('webhook de alerta falló', { alerta: sub._id, nombre: sub.nombre, error: err });
+        await suscripciones.updateAsync(
+          { _id: sub._id },
+          { $set: { ultimoError: { fecha: new Date().toISOString(), error: err.message } } },
+          {}
+        );
+      }
+    }
+  }
+
+  // Las evaluaciones se encolan para no notificar dos veces el mismo foco
+  let cola = Promise.resolve();
+
+  /**
+   * Compara una consulta fresca a FIRMS con las suscripciones activas y
+   * notifica solo las detecciones aún no enviadas a cada webhook. Si el
+   * webhook falla, las detecciones se reintentan en la siguiente consulta.
+   */
+  function evaluarDetecciones(detecciones) {
+    if (!detecciones.length) return cola;
+    cola = cola
+      .then(() => evaluar(detecciones))
+      .catch(err => log.error('error evaluando alertas', { error: err }));
+    return cola;
+  }
+
+  return {
+    crearSuscripcion,
+    obtenerSuscripcion,
+    eliminarSuscripcion,
+    evaluarDetecciones
+  };
+}
+
+module.exports = {
+  SEVERIDADES,
+  validarSuscripcion,
+  crearAlertas
+};
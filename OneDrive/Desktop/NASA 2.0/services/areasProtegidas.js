@@ -0,0 +1,102 @@
+// backend/services/areasProtegidas.js
+// Áreas protegidas y territorios indígenas (TCO) opcionales: etiquetado y conteos
+const geografia = require('./geografia');
+const log = require('./log');
+
+const TIPOS = ['area_protegida', 'tco'];
+
+// FeatureCollections con la propiedad `nombre` (y opcionalmente `id`, `categoria`)
+const ARCHIVOS = {
+  area_protegida: process.env.AREAS_PROTEGIDAS_ARCHIVO || 'areas-protegidas.geojson',
+  tco: process.env.TCO_ARCHIVO || 'territorios-indigenas.geojson'
+};
+
+const slug = texto => String(texto).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+function cargarAreas() {
+  const areas = [];
+  TIPOS.forEach(tipo => {
+    const capa = geografia.cargarCapa(ARCHIVOS[tipo]);
+    if (!capa) return;
+    capa.features.forEach((f, i) => {
+      const nombre = f.properties.nombre || f.properties.name || `${tipo} ${i + 1}`;
+      areas.push({
+        ...f,
+        id: f.properties.id ? String(f.properties.id) : `${tipo}:${slug(nombre)}`,
+        nombre,
+        tipo,
+        categoria: f.properties.categoria || null
+      });
+    });
+    log.info(tipo === 'tco' ? 'territorios indígenas cargados' : 'áreas protegidas cargadas', { cantidad: capa.features.length, archivo: ARCHIVOS[tipo] });
+  });
+  return areas;
+}
+
+const areas = cargarAreas();
+
+/**
+ * Áreas que contienen el punto como [{ id, nombre, tipo }]. Un punto puede
+ * caer en varias (p. ej. un parque nacional superpuesto a una TCO).
+ */
+function areasDe(lat, lng) {
+  return areas.filter(a => {
+    const [minLng, minLat, maxLng, maxLat] = a.extension;
+    if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+    return geografia.puntoEnGeometria(lng, lat, a.geometry);
+  }).map(({ id, nombre, tipo }) => ({ id, nombre, tipo }));
+}
+
+// Detecciones archivadas antes de existir el campo se etiquetan al vuelo
+function etiquetar(d) {
+  return d.areasProtegidas ? d : { ...d, areasProtegidas: areasDe(d.lat, d.lng) };
+}
+
+/**
+ * Conteo por área con todas las áreas cargadas (también las que tienen 0),
+ * más cuántas detecciones caen dentro de alguna.
+ */
+function estadisticasPorArea(datos) {
+  const porArea = {};
+  areas.forEach(a => {
+    porArea[a.id] = { nombre: a.nombre, tipo: a.tipo, categoria: a.categoria, total: 0, frpTotal: 0 };
+  });
+
+  let dentro = 0;
+  datos.forEach(d => {
+    const propias = d.areasProtegidas || [];
+    if (propias.length) dentro++;
+    propias.forEach(({ id }) => {
+      if (!porArea[id]) return;
+      porArea[id].total++;
+      porArea[id].frpTotal += d.frp || 0;
+    });
+  });
+  Object.values(porArea).forEach(a => { a.frpTotal = Number(a.frpTotal.toFixed(1)); });
+
+  return { porAreaProtegida: porArea, enAreasProtegidas: dentro };
+}
+
+// GeoJSON para la capa del mapa, opcionalmente solo de un tipo
+function obtenerCapa(tipo) {
+  return {
+    type: 'FeatureCollection',
+    features: areas
+      .filter(a => !tipo || a.tipo === tipo)
+      .map(({ type, geometry, id, nombre, tipo: t, categoria }) => ({
+        type,
+        properties: { id, nombre, tipo: t, categoria },
+        geometry
+      }))
+  };
+}
+
+module.exports = {
+  TIPOS,
+  areasDe,
+  etiquetar,
+  estadisticasPorArea,
+  obtenerCapa,
+  disponibles: areas.length > 0
+};
@@ -0,0 +1,135 @@
+// backend/services/clavesApi.js
+// Claves de acceso a nuestra API: roles, cuota por hora y contadores de uso
+const crypto = require('crypto');
+const Datastore = require('@seald-io/nedb');
+const log = require('./log');
+
+// `nivel` ordena los permisos; `cuotaPorHora` es la cuota por defecto (null = sin límite)
+const ROLES = {
+  publico: { nivel: 0, cuotaPorHora: 100 },
+  socio: { nivel: 1, cuotaPorHora: 1000 },
+  admin: { nivel: 2, cuotaPorHora: null }
+};
+
+// Solo se guarda el hash: la clave se muestra una vez, al crearla
+const hashClave = clave => crypto.createHash('sha256').update(String(clave)).digest('hex');
+
+// Comparación en tiempo constante (para ADMIN_API_KEY)
+function mismaClave(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(hashClave(a), 'hex'), Buffer.from(hashClave(b), 'hex'));
+}
+
+/**
+ * Valida el cuerpo de POST/PATCH /api/claves. Con `parcial` los campos
+ * son opcionales. Devuelve { datos } o { error } con el motivo.
+ */
+function validarClave(body = {}, { parcial = false } = {}) {
+  const { nombre, rol, cuotaPorHora, activa } = body;
+  const datos = {};
+
+  if (nombre !== undefined || !parcial) {
+    if (!nombre || typeof nombre !== 'string') return { error: 'nombre es obligatorio (organización o sistema que usa la clave)' };
+    datos.nombre = nombre.slice(0, 120);
+  }
+  if (rol !== undefined || !parcial) {
+    if (!ROLES[rol]) return { error: `rol debe ser uno de: ${Object.keys(ROLES).join(', ')}` };
+    datos.rol = rol;
+  }
+  if (cuotaPorHora !== undefined) {
+    if (cuotaPorHora !== null && !(Number.isInteger(cuotaPorHora) && cuotaPorHora > 0)) {
+      return { error: 'cuotaPorHora debe ser un entero positivo o null (sin límite)' };
+    }
+    datos.cuotaPorHora = cuotaPorHora;
+  } else if (datos.rol) {
+    // Sin cuota explícita, una clave nueva o que cambia de rol toma la del rol
+    datos.cuotaPorHora = ROLES[datos.rol].cuotaPorHora;
+  }
+  if (activa !== undefined) {
+    if (typeof activa !== 'boolean') return { error: 'activa debe ser true o false' };
+    datos.activa = activa;
+  }
+  return { datos };
+}
+
+function formatearClave({ _id, hash, ...resto }) {
+  return { id: _id, ...resto };
+}
+
+/**
+ * Abre la base de claves en `archivo` (null la deja en memoria). Cada app
+ * crea la suya: importar el módulo no abre nada.
+ */
+function crearClavesApi({ archivo }) {
+  const claves = new Datastore({ filename: archivo || undefined, autoload: true });
+
+  claves.ensureIndexAsync({ fieldName: 'hash', unique: true })
+    .catch(err => log.error('error creando índice de claves de API', { archivo, campo: 'hash', error: err }));
+
+  async function crearClave(datos) {
+    const clave = `fk_${crypto.randomBytes(24).toString('base64url')}`;
+    const doc = await claves.insertAsync({
+      activa: true,
+      ...datos,
+      hash: hashClave(clave),
+      prefijo: clave.slice(0, 8),
+      creada: new Date().toISOString(),
+      ultimoUso: null,
+      uso: { total: 0, rechazadas: 0, porDia: {} }
+    });
+    return { clave, ...formatearClave(doc) };
+  }
+
+  async function listarClaves() {
+    const docs = await claves.findAsync({}).sort({ creada: 1 });
+    return docs.map(formatearClave);
+  }
+
+  async function obtenerClave(id) {
+    const doc = await claves.findOneAsync({ _id: id });
+    return doc ? formatearClave(doc) : null;
+  }
+
+  async function actualizarClave(id, cambios) {
+    const { numAffected, affectedDocuments } = await claves.updateAsync(
+      { _id: id },
+      { $set: cambios },
+      { returnUpdatedDocs: true }
+    );
+    return numAffected ? formatearClave(affectedDocuments) : null;
+  }
+
+  async function eliminarClave(id) {
+    return (await claves.removeAsync({ _id: id }, {})) > 0;
+  }
+
+  // Clave activa que corresponde al valor recibido, o null
+  async function buscarPorClave(clave) {
+    const doc = await claves.findOneAsync({ hash: hashClave(clave), activa: true });
+    return doc ? formatearClave(doc) : null;
+  }
+
+  // Cuenta una solicitud (y si fue rechazada por cuota) en el total y en el día UTC
+  function registrarUso(id, { rechazada = false } = {}) {
+    const ahora = new Date();
+    const incrementos = { 'uso.total': 1, [`uso.porDia.${ahora.toISOString().slice(0, 10)}`]: 1 };
+    if (rechazada) incrementos['uso.rechazadas'] = 1;
+    return claves.updateAsync({ _id: id }, { $inc: incrementos, $set: { ultimoUso: ahora.toISOString() } }, {});
+  }
+
+  return {
+    crearClave,
+    listarClaves,
+    obtenerClave,
+    actualizarClave,
+    eliminarClave,
+    buscarPorClave,
+    registrarUso
+  };
+}
+
+module.exports = {
+  ROLES,
+  mismaClave,
+  validarClave,
+  crearClavesApi
+};
@@ -0,0 +1,165 @@
+// backend/services/consulta.js
+// Filtros, orden, paginación y selección de campos para /api/eventos
+const SEVERIDADES = ['baja', 'media', 'alta', 'muy_alta'];
+const CAMPOS_ORDENABLES = [
+  'timestamp', 'confianza', 'confianzaCombinada', 'nivelRiesgo', 'frp',
+  'bright_ti4', 'bright_ti5', 'lat', 'lng', 'corroboracion'
+];
+const LIMITE_MAXIMO = 5000;
+
+// Confianza efectiva: la combinada si el foco fue fusionado entre sensores
+const confianzaDe = item => item.confianzaCombinada ?? item.confianza ?? 0;
+
+// Acepta milisegundos epoch o fecha ISO 8601
+function parsearInstante(valor) {
+  if (valor === undefined || valor === '') return undefined;
+  const ms = /^\d+$/.test(valor) ? Number(valor) : Date.parse(valor);
+  return isNaN(ms) ? null : ms;
+}
+
+function parsearNumero(valor) {
+  if (valor === undefined || valor === '') return undefined;
+  const n = parseFloat(valor);
+  return isNaN(n) ? null : n;
+}
+
+/**
+ * Valida los parámetros de consulta. Devuelve { filtros } o { error }.
+ * Sin `limit` se devuelven todos los resultados (comportamiento histórico).
+ */
+function parsearFiltros(query) {
+  const filtros = {
+    minConfianza: parsearNumero(query.minConfianza),
+    minFRP: parsearNumero(query.minFRP),
+    desde: parsearInstante(query.desde),
+    hasta: parsearInstante(query.hasta),
+    limit: parsearNumero(query.limit),
+    offset: parsearNumero(query.offset) || 0
+  };
+
+  for (const clave of ['minConfianza', 'minFRP', 'desde', 'hasta', 'limit', 'offset']) {
+    if (filtros[clave] === null) return { error: `Valor inválido para "${clave}"` };
+  }
+  if (filtros.limit !== undefined && (filtros.limit < 1 || filtros.limit > LIMITE_MAXIMO)) {
+    return { error: `"limit" debe estar entre 1 y ${LIMITE_MAXIMO}` };
+  }
+  if (filtros.offset < 0) return { error: '"offset" no puede ser negativo' };
+
+  if (query.severidad) {
+    filtros.severidad = String(query.severidad).split(',').map(s => s.trim());
+    const invalida = filtros.severidad.find(s => !SEVERIDADES.includes(s));
+    if (invalida) return { error: `Severidad inválida "${invalida}" (usa ${SEVERIDADES.join(', ')})` };
+  }
+
+  // enAreaProtegida=true|false y/o areaProtegida=<id>,<id> (ver /api/areas-protegidas)
+  if (query.enAreaProtegida !== undefined && query.enAreaProtegida !== '') {
+    if (!['true', 'false'].includes(query.enAreaProtegida)) return { error: '"enAreaProtegida" debe ser true o false' };
+    filtros.enAreaProtegida = query.enAreaProtegida === 'true';
+  }
+  if (query.areaProtegida) {
+    filtros.areaProtegida = String(query.areaProtegida).split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  if (query.daynight) {
+    filtros.daynight = String(query.daynight).toUpperCase();
+    if (!['D', 'N'].includes(filtros.daynight)) return { error: '"daynight" debe ser D o N' };
+  }
+
+  // sort=-frp,confianza  ->  FRP descendente y luego confianza ascendente
+  filtros.sort = String(query.sort || '-timestamp').split(',').map(s => s.trim()).filter(Boolean)
+    .map(s => ({ campo: s.replace(/^[-+]/, ''), desc: s.startsWith('-') }));
+  const noOrdenable = filtros.sort.find(s => !CAMPOS_ORDENABLES.includes(s.campo));
+  if (noOrdenable) {
+    return { error: `No se puede ordenar por "${noOrdenable.campo}" (usa ${CAMPOS_ORDENABLES.join(', ')})` };
+  }
+
+  if (query.fields) {
+    filtros.fields = String(query.fields).split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  return { filtros };
+}
+
+function cumpleFiltros(item, f) {
+  if (f.minConfianza !== undefined && confianzaDe(item) < f.minConfianza) return false;
+  if (f.minFRP !== undefined && (item.frp || 0) < f.minFRP) return false;
+  if (f.severidad && !f.severidad.includes(item.severidad)) return false;
+  if (f.daynight && item.daynight !== f.daynight) return false;
+  const areas = item.areasProtegidas || [];
+  if (f.enAreaProtegida !== undefined && (areas.length > 0) !== f.enAreaProtegida) return false;
+  if (f.areaProtegida && !areas.some(a => f.areaProtegida.includes(a.id))) return false;
+  if (f.desde !== undefined && item.timestamp < f.desde) return false;
+  if (f.hasta !== undefined && item.timestamp > f.hasta) return false;
+  return true;
+}
+
+// Solo los filtros, sin orden ni paginación (p. ej. para agregados)
+function filtrar(datos, filtros) {
+  return datos.filter(item => cumpleFiltros(item, filtros));
+}
+
+function comparar(sort) {
+  return (a, b) => {
+    for (const { campo, desc } of sort) {
+      const va = campo === 'confianzaCombinada' ? confianzaDe(a) : (a[campo] ?? 0);
+      const vb = campo === 'confianzaCombinada' ? confianzaDe(b) : (b[campo] ?? 0);
+      if (va !== vb) return (va < vb ? -1 : 1) * (desc ? -1 : 1);
+    }
+    return 0;
+  };
+}
+
+function proyectar(item, fields) {
+  const obj = {};
+  fields.forEach(campo => {
+    if (campo in item) obj[campo] = item[campo];
+  });
+  return obj;
+}
+
+// Enlace a otra página conservando el resto de la query
+function enlace(ruta, query, offset) {
+  const params = new URLSearchParams(query);
+  params.set('offset', String(offset));
+  return `${ruta}?${params.toString()}`;
+}
+
+/**
+ * Ordena, pagina y proyecta datos ya filtrados. `ruta` y `query` se usan
+ * para construir los enlaces `siguiente`/`anterior`.
+ */
+function paginar(datos, filtros, { ruta, query }) {
+  const filtrados = [...datos].sort(comparar(filtros.sort));
+  const total = filtrados.length;
+  const { limit, offset } = filtros;
+
+  let pagina = limit !== undefined ? filtrados.slice(offset, offset + limit) : filtrados.slice(offset);
+  if (filtros.fields) {
+    pagina = pagina.map(item => proyectar(item, filtros.fields));
+  }
+
+  const paginacion = {
+    offset,
+    limit: limit ?? null,
+    devueltos: pagina.length,
+    siguiente: limit !== undefined && offset + limit < total ? enlace(ruta, query, offset + limit) : null,
+    anterior: limit !== undefined && offset > 0 ? enlace(ruta, query, Math.max(0, offset - limit)) : null
+  };
+
+  return { total, datos: pagina, paginacion };
+}
+
+// Filtros, orden, paginación y proyección en un paso
+function aplicarConsulta(datos, filtros, contexto) {
+  return paginar(filtrar(datos, filtros), filtros, contexto);
+}
+
+module.exports = {
+  parsearFiltros,
+  filtrar,
+  paginar,
+  aplicarConsulta,
+  CAMPOS_ORDENABLES,
+  SEVERIDADES,
+  LIMITE_MAXIMO
+};
@@ -0,0 +1,102 @@
+// backend/services/densidad.js
+// Agregación de detecciones en una grilla (cuadrada o hexagonal) para mapas de densidad
+const FORMAS = ['cuadrada', 'hexagonal'];
+const TAMANO_MIN = 0.01;
+const TAMANO_MAX = 2;
+const RAIZ3 = Math.sqrt(3);
+
+const redondear = n => Number(n.toFixed(6));
+
+// Celdas cuadradas de `tamano` grados alineadas a 0,0
+const cuadrada = {
+  celda(lat, lng, tamano) {
+    const x = Math.floor(lng / tamano);
+    const y = Math.floor(lat / tamano);
+    return { id: `${x}:${y}`, x, y };
+  },
+  poligono({ x, y }, tamano) {
+    const [w, s, e, n] = [x * tamano, y * tamano, (x + 1) * tamano, (y + 1) * tamano].map(redondear);
+    return [[[w, s], [e, s], [e, n], [w, n], [w, s]]];
+  }
+};
+
+// Hexágonos con vértice arriba; `tamano` es la distancia del centro a un vértice
+// (en grados, sin corregir por latitud: a escala de Bolivia la deformación es menor)
+const hexagonal = {
+  celda(lat, lng, tamano) {
+    const qf = (RAIZ3 / 3 * lng - lat / 3) / tamano;
+    const rf = (2 / 3 * lat) / tamano;
+    // Redondeo en coordenadas cúbicas: corrige el eje con mayor error
+    const sf = -qf - rf;
+    let q = Math.round(qf);
+    let r = Math.round(rf);
+    const s = Math.round(sf);
+    const dq = Math.abs(q - qf);
+    const dr = Math.abs(r - rf);
+    const ds = Math.abs(s - sf);
+    if (dq > dr && dq > ds) q = -r - s;
+    else if (dr > ds) r = -q - s;
+    return { id: `${q}:${r}`, q, r };
+  },
+  poligono({ q, r }, tamano) {
+    const cx = tamano * RAIZ3 * (q + r / 2);
+    const cy = tamano * 1.5 * r;
+    const anillo = [];
+    for (let i = 0; i <= 6; i++) {
+      const angulo = Math.PI / 180 * (60 * (i % 6) - 30);
+      anillo.push([redondear(cx + tamano * Math.cos(angulo)), redondear(cy + tamano * Math.sin(angulo))]);
+    }
+    return [anillo];
+  }
+};
+
+const GRILLAS = { cuadrada, hexagonal };
+
+// Valida forma y tamaño de la query. Devuelve { forma, tamano } o { error }
+function parsearGrilla({ forma = 'cuadrada', tamano = '0.25' }) {
+  if (!FORMAS.includes(forma)) return { error: `"forma" debe ser ${FORMAS.join(' o ')}` };
+  const n = parseFloat(tamano);
+  if (isNaN(n) || n < TAMANO_MIN || n > TAMANO_MAX) {
+    return { error: `"tamano" debe estar entre ${TAMANO_MIN} y ${TAMANO_MAX} grados` };
+  }
+  return { forma, tamano: n };
+}
+
+/**
+ * Agrupa detecciones por celda. Cada celda es un Feature con `detecciones`,
+ * `frpTotal` y `confianzaMax` (la combinada si el foco fue fusionado).
+ */
+function agregarEnGrilla(datos, { forma, tamano }) {
+  const grilla = GRILLAS[forma];
+  const celdas = new Map();
+
+  datos.forEach(d => {
+    const celda = grilla.celda(d.lat, d.lng, tamano);
+    if (!celdas.has(celda.id)) {
+      celdas.set(celda.id, { celda, detecciones: 0, frpTotal: 0, confianzaMax: 0 });
+    }
+    const acumulado = celdas.get(celda.id);
+    acumulado.detecciones++;
+    acumulado.frpTotal += d.frp || 0;
+    acumulado.confianzaMax = Math.max(acumulado.confianzaMax, d.confianzaCombinada ?? d.confianza ?? 0);
+  });
+
+  const features = [...celdas.values()].map(({ celda, detecciones, frpTotal, confianzaMax }) => ({
+    type: 'Feature',
+    properties: { id: celda.id, detecciones, frpTotal: Number(frpTotal.toFixed(1)), confianzaMax },
+    geometry: { type: 'Polygon', coordinates: grilla.poligono(celda, tamano) }
+  }));
+
+  const maximo = features.reduce((max, f) => ({
+    detecciones: Math.max(max.detecciones, f.properties.detecciones),
+    frpTotal: Math.max(max.frpTotal, f.properties.frpTotal)
+  }), { detecciones: 0, frpTotal: 0 });
+
+  return { type: 'FeatureCollection', maximo, features };
+}
+
+module.exports = {
+  FORMAS,
+  parsearGrilla,
+  agregarEnGrilla
+};
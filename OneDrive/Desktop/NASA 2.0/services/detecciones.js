@@ -0,0 +1,248 @@
+// backend/services/detecciones.js
+// Capa de detecciones compartida por las rutas: FIRMS con cache, fusión,
+// incidentes, presentación (modelo, idioma, zona) y filtros de /api/eventos
+const { idDeteccion } = require('./historico');
+const { agruparIncidentes } = require('./incidentes');
+const geografia = require('./geografia');
+const { fusionarDetecciones } = require('./fusion');
+const consulta = require('./consulta');
+const normalizacion = require('./normalizacion');
+const riesgo = require('./riesgo');
+const tiempo = require('./tiempo');
+const i18n = require('./i18n');
+const meteo = require('./meteo');
+const propagacion = require('./propagacion');
+const { parseCsv, mapFirmsRow } = require('./firmsCsv');
+const log = require('./log');
+
+/**
+ * `config` es la configuración de la app (crearConfig), `cache` un NodeCache
+ * compartido, `clienteFirms` el de firms.crearCliente y `proveedorMeteo`
+ * el de meteo.crearProveedor (o null). Cada consulta fresca se archiva en
+ * `historico` (historico.crearHistorico) y se evalúa contra `alertas`
+ * (alertas.crearAlertas). `alActualizar(clave, resultado)` se llama con
+ * cada consulta fresca a FIRMS en la que respondieron todas las fuentes.
+ * `metricas` (metricas.crearMetricas) es opcional.
+ */
+function crearServicioDetecciones({ config: CONFIG, cache, clienteFirms, proveedorMeteo, historico, alertas, alActualizar, metricas }) {
+  // Normaliza source/days/bbox/region de la query. Un bbox llega ya validado
+  // (ver geografia.parsearBbox) y se reescribe igual siempre: es parte de la
+  // URL de FIRMS y de la clave del cache
+  function resolverConsulta({ source, days, bbox, region }) {
+    const regionValida = region && Object.hasOwn(CONFIG.BBOX, region) && CONFIG.BBOX[region] ? region : null;
+    const extension = bbox ? geografia.parsearBbox(bbox) : null;
+    if (bbox && !regionValida && !extension) throw new Error(`bbox inválido: ${bbox}`);
+    return {
+      source: source || 'VIIRS_SNPP_NRT',
+      days: Math.min(parseInt(days) || 1, CONFIG.MAX_DAYS),
+      bbox: regionValida ? CONFIG.BBOX[regionValida] : (extension ? extension.join(',') : CONFIG.BBOX.bolivia),
+      // Un bbox explícito sin región no se recorta por polígono
+      region: regionValida || (bbox ? null : 'bolivia')
+    };
+  }
+
+  // Incidentes con su estimación de avance entre pasadas (services/propagacion.js)
+  function agruparFocos(datos) {
+    const incidentes = agruparIncidentes(datos, {
+      distanciaMaxKm: CONFIG.INCIDENTES.DISTANCIA_MAX_KM,
+      ventanaHoras: CONFIG.INCIDENTES.VENTANA_HORAS
+    });
+    return propagacion.anotarIncidentes(incidentes, datos);
+  }
+
+  function esPresentacionPredeterminada({ modelo, lang, tz }) {
+    return modelo.id === riesgo.obtenerModelo().id &&
+      lang === i18n.IDIOMA_PREDETERMINADO &&
+      tz === tiempo.ZONA_PREDETERMINADA;
+  }
+
+  // Los focos en cache ya están puntuados y formateados con los valores
+  // predeterminados; cualquier otra combinación recalcula una copia.
+  // `siempre` recalcula igual (p. ej. registros archivados con otra configuración)
+  function presentarFocos(datos, presentacion, { siempre = false } = {}) {
+    if (!siempre && esPresentacionPredeterminada(presentacion)) return datos;
+    const { modelo, lang, tz } = presentacion;
+    const locale = i18n.locale(lang);
+    return datos.map(d => ({
+      ...riesgo.aplicarModelo(d, modelo, lang),
+      ...tiempo.formatearLocal(d.timestamp, tz, locale)
+    }));
+  }
+
+  function presentarIncidentes(incidentes, presentacion) {
+    if (esPresentacionPredeterminada(presentacion)) return incidentes;
+    const locale = i18n.locale(presentacion.lang);
+    const local = ts => {
+      const { fechaLocal, horaLocal } = tiempo.formatearLocal(ts, presentacion.tz, locale);
+      return `${fechaLocal} ${horaLocal}`;
+    };
+    return incidentes.map(inc => ({
+      ...inc,
+      primeraDeteccionLocal: local(inc.primeraDeteccion),
+      ultimaDeteccionLocal: local(inc.ultimaDeteccion)
+    }));
+  }
+
+  // Misma clave para el cache de focos y para la difusión en vivo
+  function claveConsulta({ source, days, bbox, region }) {
+    return `${source}-${days}-${bbox}-${region || 'bbox'}`;
+  }
+
+  // Consulta FIRMS (con cache), deduplica y agrupa en incidentes.
+  // `refrescar` ignora el cache; `ttl` (s) permite que el programador lo mantenga caliente;
+  // `registro` es el logger de la solicitud (con su requestId)
+  async function obtenerFocos(parametros, { refrescar = false, ttl, registro = log } = {}) {
+    const { source, days, bbox, region } = parametros;
+    const cacheKey = claveConsulta(parametros);
+    const cached = refrescar ? undefined : cache.get(cacheKey);
+    if (metricas && !refrescar) metricas.registrarCache('focos', Boolean(cached));
+    
+    if (cached) {
+      registro.debug('focos desde cache', { consulta: cacheKey });
+      return { ...cached, desdeCache: true };
+    }
+    
+    const sources = source === 'ALL' ? Object.keys(CONFIG.SOURCES) : [source];
+    const registroFirms = registro.hijo({ consulta: cacheKey });
+    
+    const informes = await clienteFirms.consultarFuentes(sources, {
+      key: CONFIG.FIRMS.MAP_KEY,
+      bbox,
+      days,
+      timeoutMs: CONFIG.FIRMS.TIMEOUT_MS,
+      reintentos: CONFIG.FIRMS.REINTENTOS,
+      backoffMs: CONFIG.FIRMS.BACKOFF_MS,
+      registro: registroFirms
+    });
+    if (metricas) metricas.registrarConsultaFirms(informes);
+    
+    const allData = [];
+    const fuentes = informes.map(({ source, estado, texto, error, tipoError, intentos, duracionMs }) => {
+      const informe = {
+        source,
+        nombre: CONFIG.SOURCES[source] || source,
+        estado,
+        focos: 0,
+        intentos,
+        duracionMs
+      };
+      const entrada = { source, bbox, days, estado, intentos, duracionMs };
+      
+      if (estado === 'error') {
+        registroFirms.error('consulta FIRMS', { ...entrada, filas: 0, error, tipoError });
+        return { ...informe, error };
+      }
+      
+      if (estado === 'vacia') {
+        registroFirms.info('consulta FIRMS', { ...entrada, filas: 0 });
+        return informe;
+      }
+      
+      const data = parseCsv(texto).map(row => {
+        const foco = {
+          ...mapFirmsRow(normalizacion.normalizarFila(row, source)),
+          source: CONFIG.SOURCES[source] || source,
+          sourceKey: source
+        };
+        return { id: idDeteccion(foco), ...foco };
+      });
+      
+      allData.push(...data);
+      registroFirms.info('consulta FIRMS', { ...entrada, filas: data.length });
+      return { ...informe, estado: data.length ? 'ok' : 'vacia', focos: data.length };
+    });
+    
+    const errores = fuentes
+      .filter(f => f.estado === 'error')
+      .map(({ source, error }) => ({ source, error }));
+    
+    // Archivar todas las detecciones sin bloquear la respuesta
+    historico.guardarDetecciones(allData)
+      .then(nuevos => {
+        if (nuevos > 0) registro.info('histórico: detecciones nuevas archivadas', { nuevos });
+      })
+      .catch(err => registro.error('error archivando histórico', { error: err }));
+    
+    // Notificar a las suscripciones de alerta (solo con datos frescos de FIRMS)
+    alertas.evaluarDetecciones(allData);
+    
+    // Recorte por límite real de la región (el bbox incluye países vecinos)
+    const enRegion = allData.filter(item => geografia.perteneceARegion(item, region));
+    
+    // Con fusión, el duplicado exacto se busca por sensor: la fusión conserva quién lo vio
+    const fusionar = source === 'ALL' && CONFIG.FUSION.ACTIVA;
+    const uniqueData = [];
+    const seen = new Set();
+    
+    enRegion.forEach(item => {
+      const key = `${fusionar ? `${item.sourceKey}-` : ''}${item.lat.toFixed(4)}-${item.lng.toFixed(4)}-${item.timestamp}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        uniqueData.push(item);
+      }
+    });
+    
+    uniqueData.sort((a, b) => b.timestamp - a.timestamp);
+    
+    const fusionados = fusionar
+      ? fusionarDetecciones(uniqueData, {
+        distanciaKm: CONFIG.FUSION.DISTANCIA_KM,
+        ventanaMin: CONFIG.FUSION.VENTANA_MIN
+      })
+      : uniqueData;
+    
+    // Con meteorología se vuelve a puntuar: las reglas pueden usar índice, humedad y viento.
+    // El clima espera como mucho METEO.ESPERA_MS para no frenar la respuesta
+    const esperaMs = CONFIG.METEO.ESPERA_MS;
+    const focos = proveedorMeteo
+      ? (await meteo.anotarDetecciones(fusionados, proveedorMeteo, { esperaMs })).map(d => riesgo.aplicarModelo(d))
+      : fusionados;
+    
+    const resultado = {
+      datos: focos,
+      incidentes: await meteo.anotarIncidentes(agruparFocos(focos), proveedorMeteo, { esperaMs }),
+      fuentes,
+      errores,
+      actualizado: new Date().toISOString()
+    };
+    
+    // Sin ninguna fuente disponible no se cachea; con fallos parciales, poco tiempo
+    if (errores.length < fuentes.length) {
+      cache.set(cacheKey, resultado, errores.length ? CONFIG.FIRMS.TTL_PARCIAL_S : ttl);
+    }
+    
+    if (alActualizar && errores.length === 0) alActualizar(cacheKey, resultado);
+    
+    registro.info('focos actualizados', { consulta: cacheKey, focos: focos.length, incidentes: resultado.incidentes.length });
+    return { ...resultado, desdeCache: false };
+  }
+  
+  /**
+   * Detecciones de una consulta (`source`, `days`, `bbox`, `region`) con la
+   * presentación pedida y los filtros de consulta.parsearFiltros, sin orden
+   * ni paginación. Todas las rutas que muestran o resumen focos pasan por
+   * aquí, así el mapa, la grilla, las huellas y las estadísticas coinciden.
+   */
+  async function consultarDetecciones(query, presentacion, filtros, { registro } = {}) {
+    const parametros = resolverConsulta(query);
+    const resultado = await obtenerFocos(parametros, { registro });
+    return {
+      ...resultado,
+      parametros,
+      datos: consulta.filtrar(presentarFocos(resultado.datos, presentacion), filtros)
+    };
+  }
+  
+  return {
+    resolverConsulta,
+    claveConsulta,
+    obtenerFocos,
+    presentarFocos,
+    presentarIncidentes,
+    consultarDetecciones
+  };
+}
+
+module.exports = {
+  crearServicioDetecciones
+};
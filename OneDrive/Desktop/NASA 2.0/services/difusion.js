@@ -0,0 +1,154 @@
+// backend/services/difusion.js
+// Envío en vivo (Server-Sent Events) de los focos nuevos, actualizados y
+// expirados de cada consulta cuando llegan datos frescos de FIRMS
+const log = require('./log');
+
+/**
+ * Compara la instantánea anterior (Map id → foco) con los focos actuales.
+ * Un foco cambió si cambió cualquiera de sus campos (fusión, riesgo, meteo).
+ */
+function calcularCambios(anterior, focos) {
+  const instantanea = new Map(focos.map(f => [f.id, f]));
+  const nuevos = [];
+  const actualizados = [];
+  const expirados = [];
+
+  instantanea.forEach((foco, id) => {
+    const previo = anterior.get(id);
+    if (!previo) nuevos.push(foco);
+    else if (previo !== foco && JSON.stringify(previo) !== JSON.stringify(foco)) actualizados.push(foco);
+  });
+  anterior.forEach((_, id) => {
+    if (!instantanea.has(id)) expirados.push(id);
+  });
+
+  return { nuevos, actualizados, expirados, instantanea };
+}
+
+function escribir(res, evento, datos) {
+  res.write(`event: ${evento}\ndata: ${JSON.stringify(datos)}\n\n`);
+}
+
+/**
+ * Crea un difusor. Cada consulta suscrita (`clave`, como la del cache de
+ * focos) guarda su última instantánea; `publicar` envía a sus clientes
+ * solo las diferencias. Mientras haya clientes, cada `intervaloMs` se llama
+ * a `refrescar(parametros)` por consulta (que lee del cache y publica al
+ * vencer) y se envía un latido para mantener viva la conexión.
+ */
+function crearDifusor({ intervaloMs, maxClientes, maxConsultas = Infinity, refrescar }) {
+  const ambitos = new Map();
+  let timer = null;
+  let refrescando = false;
+
+  const totalClientes = () => [...ambitos.values()].reduce((n, a) => n + a.clientes.size, 0);
+
+  async function tick() {
+    ambitos.forEach(({ clientes }) => clientes.forEach(c => c.res.write(': latido\n\n')));
+    if (refrescando) return;
+    refrescando = true;
+    for (const [clave, { parametros }] of ambitos) {
+      try {
+        await refrescar(parametros);
+      } catch (err) {
+        log.error('error refrescando consulta difundida', { consulta: clave, error: err });
+      }
+    }
+    refrescando = false;
+  }
+
+  /**
+   * Abre `res` como text/event-stream y la suscribe a la consulta `clave`.
+   * `inicial` ({ datos, actualizado }) es el estado que el cliente acaba de
+   * cargar; `transformar(focos)` aplica su presentación y filtros.
+   * Devuelve false si se alcanzó `maxClientes`, o `maxConsultas` y `clave`
+   * sería una consulta más que refrescar.
+   */
+  function suscribir(res, { clave, parametros, inicial, transformar }) {
+    if (totalClientes() >= maxClientes) return false;
+    if (!ambitos.has(clave) && ambitos.size >= maxConsultas) return false;
+
+    let ambito = ambitos.get(clave);
+    if (!ambito) {
+      ambito = {
+        parametros,
+        instantanea: new Map(inicial.datos.map(f => [f.id, f])),
+        actualizado: inicial.actualizado,
+        clientes: new Set()
+      };
+      ambitos.set(clave, ambito);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Sin buffer en proxies como nginx
+      'X-Accel-Buffering': 'no'
+    });
+
+    const cliente = { res, transformar };
+    ambito.clientes.add(cliente);
+    escribir(res, 'listo', { actualizado: ambito.actualizado, ...parametros });
+
+    if (!timer) {
+      timer = setInterval(tick, intervaloMs);
+      timer.unref();
+    }
+
+    res.on('close', () => {
+      ambito.clientes.delete(cliente);
+      if (ambito.clientes.size === 0 && ambitos.get(clave) === ambito) ambitos.delete(clave);
+      if (ambitos.size === 0 && timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    });
+    return true;
+  }
+
+  // Datos frescos de una consulta: solo se difunden si alguien la sigue
+  function publicar(clave, focos, actualizado) {
+    const ambito = ambitos.get(clave);
+    if (!ambito) return;
+
+    const { nuevos, actualizados, expirados, instantanea } = calcularCambios(ambito.instantanea, focos);
+    ambito.instantanea = instantanea;
+    ambito.actualizado = actualizado;
+    if (!nuevos.length && !actualizados.length && !expirados.length) return;
+
+    log.info('cambios difundidos', {
+      consulta: clave,
+      nuevos: nuevos.length,
+      actualizados: actualizados.length,
+      expirados: expirados.length,
+      clientes: ambito.clientes.size
+    });
+    ambito.clientes.forEach(({ res, transformar }) => {
+      const suyos = transformar(actualizados);
+      const visibles = new Set(suyos.map(f => f.id));
+      // Un foco actualizado que ya no cumple los filtros del cliente se quita
+      const quitados = actualizados.filter(f => !visibles.has(f.id)).map(f => f.id);
+      const cambios = {
+        actualizado,
+        nuevos: transformar(nuevos),
+        actualizados: suyos,
+        expirados: [...expirados, ...quitados]
+      };
+      if (cambios.nuevos.length || cambios.actualizados.length || cambios.expirados.length) {
+        escribir(res, 'cambios', cambios);
+      }
+    });
+  }
+
+  return {
+    suscribir,
+    publicar,
+    estado: () => ({ clientes: totalClientes(), consultas: ambitos.size })
+  };
+}
+
+module.exports = {
+  calcularCambios,
+  crearDifusor
+};
@@ -0,0 +1,124 @@
+// backend/services/estadisticas.js
+// Resumen estadístico de un conjunto de detecciones ya mapeadas
+const tiempo = require('./tiempo');
+const areasProtegidas = require('./areasProtegidas');
+const huellas = require('./huellas');
+const { NIVELES_CONFIANZA } = require('./firmsCsv');
+
+/**
+ * Estadísticas mejoradas. La unión de píxeles es costosa: el área real
+ * (`areaTotalAfectada` en km², `areaAfectadaHa`) solo se informa si se pasa
+ * `huellas`, el `resumen` de huellas.calcularHuellas para los mismos datos;
+ * si no, vale null y queda la suma ingenua `areaPixelesHa`.
+ */
+function obtenerEstadisticas(data, tz = tiempo.ZONA_PREDETERMINADA, { huellas: resumenHuellas } = {}) {
+  if (!data.length) {
+    return {
+      total: 0,
+      mensaje: 'No hay datos disponibles'
+    };
+  }
+  
+  const stats = {
+    total: data.length,
+    porConfianza: {},
+    porSatelite: {},
+    porHora: {},
+    porDia: {},
+    porSeveridad: { baja: 0, media: 0, alta: 0, muy_alta: 0 },
+    ...areasProtegidas.estadisticasPorArea(data),
+    promedioConfianza: 0,
+    promedioFRP: 0,
+    maxFRP: 0,
+    areaTotalAfectada: 0,
+    focosMasRecientes: [],
+    focosMaximaConfianza: [],
+    tendencia: null
+  };
+  
+  for (let i = 0; i < 24; i++) {
+    stats.porHora[i] = 0;
+  }
+  
+  Object.keys(NIVELES_CONFIANZA).forEach(level => {
+    stats.porConfianza[level] = 0;
+  });
+  
+  let sumaConfianza = 0;
+  let sumaFRP = 0;
+  let maxFRP = 0;
+  
+  data.forEach(item => {
+    stats.porConfianza[item.nivelConfianza]++;
+    stats.porSatelite[item.satellite] = (stats.porSatelite[item.satellite] || 0) + 1;
+    
+    const hora = tiempo.horaLocal(item.timestamp, tz);
+    stats.porHora[hora]++;
+    
+    const dia = tiempo.fechaISO(item.timestamp, tz);
+    stats.porDia[dia] = (stats.porDia[dia] || 0) + 1;
+    
+    if (item.severidad) {
+      stats.porSeveridad[item.severidad]++;
+    }
+    
+    sumaConfianza += item.confianza;
+    sumaFRP += item.frp || 0;
+    maxFRP = Math.max(maxFRP, item.frp || 0);
+  });
+  
+  stats.promedioConfianza = (sumaConfianza / data.length).toFixed(1);
+  stats.promedioFRP = (sumaFRP / data.length).toFixed(1);
+  stats.maxFRP = maxFRP.toFixed(1);
+  // Área real: unión de píxeles (sin contar dos veces los solapados), en km² y ha
+  stats.areaTotalAfectada = resumenHuellas ? (resumenHuellas.areaHa / 100).toFixed(2) : null;
+  stats.areaAfectadaHa = resumenHuellas ? resumenHuellas.areaHa : null;
+  stats.areaPixelesHa = resumenHuellas ? resumenHuellas.areaPixelesHa : huellas.areaPixelesHa(data);
+  
+  // Calcular tendencia (últimas 24h vs anteriores)
+  const ahora = Date.now();
+  const ultimas24h = data.filter(d => (ahora - d.timestamp) < 24 * 60 * 60 * 1000).length;
+  const anteriores24h = data.filter(d => {
+    const diff = ahora - d.timestamp;
+    return diff >= 24 * 60 * 60 * 1000 && diff < 48 * 60 * 60 * 1000;
+  }).length;
+  
+  if (anteriores24h > 0) {
+    const cambio = ((ultimas24h - anteriores24h) / anteriores24h * 100).toFixed(1);
+    stats.tendencia = {
+      ultimas24h,
+      anteriores24h,
+      cambioPorc: cambio,
+      direccion: cambio > 0 ? 'aumentando' : cambio < 0 ? 'disminuyendo' : 'estable'
+    };
+  }
+  
+  stats.focosMasRecientes = data
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, 10)
+    .map(f => ({
+      lat: f.lat,
+      lng: f.lng,
+      tiempo: `${f.fechaLocal} ${f.horaLocal}`,
+      confianza: f.confianza,
+      categoria: f.categoria,
+      frp: f.frp
+    }));
+  
+  stats.focosMaximaConfianza = data
+    .sort((a, b) => b.confianza - a.confianza)
+    .slice(0, 10)
+    .map(f => ({
+      lat: f.lat,
+      lng: f.lng,
+      confianza: f.confianza,
+      categoria: f.categoria,
+      frp: f.frp
+    }));
+  
+  return stats;
+}
+
+module.exports = {
+  obtenerEstadisticas
+};
@@ -0,0 +1,140 @@
+// backend/services/exportacion.js
+// Exportación de detecciones en CSV, GeoJSON y KML (escritura por bloques)
+const FORMATOS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  geojson: { extension: 'geojson', contentType: 'application/geo+json; charset=utf-8' },
+  kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8' }
+};
+
+const FILAS_POR_BLOQUE = 500;
+
+// Columnas en orden de aparición (unión de todas las filas)
+function obtenerCampos(datos) {
+  const campos = new Set();
+  datos.forEach(item => Object.keys(item).forEach(k => campos.add(k)));
+  return [...campos];
+}
+
+function valorPlano(valor) {
+  if (valor === null || valor === undefined) return '';
+  if (typeof valor === 'object') return JSON.stringify(valor);
+  return String(valor);
+}
+
+// RFC 4180: comillas solo si hace falta, duplicando las internas
+function escaparCsv(valor) {
+  const texto = valorPlano(valor);
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+function escaparXml(valor) {
+  return valorPlano(valor)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// '#rrggbb' -> 'aabbggrr' (orden de color de KML)
+function colorKml(hex, alpha = 'ff') {
+  const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)];
+  return `${alpha}${b}${g}${r}`;
+}
+
+// Escribe respetando la contrapresión del socket
+function escribir(res, chunk) {
+  return new Promise(resolve => {
+    if (res.write(chunk)) return resolve();
+    const continuar = () => {
+      res.off('drain', continuar);
+      res.off('close', continuar);
+      resolve();
+    };
+    res.once('drain', continuar);
+    res.once('close', continuar);
+  });
+}
+
+async function escribirPorBloques(res, datos, serializar, separador = '') {
+  for (let i = 0; i < datos.length; i += FILAS_POR_BLOQUE) {
+    const bloque = datos.slice(i, i + FILAS_POR_BLOQUE).map(serializar).join(separador);
+    await escribir(res, (i > 0 ? separador : '') + bloque);
+  }
+}
+
+async function escribirCsv(res, datos) {
+  const campos = obtenerCampos(datos);
+  await escribir(res, campos.map(escaparCsv).join(',') + '\r\n');
+  await escribirPorBloques(res, datos, item =>
+    campos.map(c => escaparCsv(item[c])).join(',') + '\r\n'
+  );
+}
+
+async function escribirGeojson(res, datos) {
+  await escribir(res, '{"type":"FeatureCollection","features":[');
+  await escribirPorBloques(res, datos, item => JSON.stringify({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [item.lng, item.lat] },
+    properties: item
+  }), ',');
+  await escribir(res, ']}');
+}
+
+async function escribirKml(res, datos, { titulo, nivelesConfianza }) {
+  const campos = obtenerCampos(datos);
+  const estilos = Object.entries(nivelesConfianza).map(([nivel, { color }]) => `
+    <Style id="${nivel}">
+      <IconStyle>
+        <color>${colorKml(color)}</color>
+        <scale>0.8</scale>
+        <Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon>
+      </IconStyle>
+    </Style>`).join('');
+
+  await escribir(res, `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escaparXml(titulo)}</name>${estilos}
+`);
+  await escribirPorBloques(res, datos, item => `
+    <Placemark>
+      <name>${escaparXml(item.categoria)}</name>
+      <description>${escaparXml(item.descripcion)}</description>
+      ${item.fechaUTC ? `<TimeStamp><when>${item.fechaUTC}T${item.horaUTC || '00:00'}:00Z</when></TimeStamp>` : ''}
+      <styleUrl>#${escaparXml(item.nivelConfianza)}</styleUrl>
+      <ExtendedData>${campos.map(c => `
+        <Data name="${escaparXml(c)}"><value>${escaparXml(item[c])}</value></Data>`).join('')}
+      </ExtendedData>
+      <Point><coordinates>${item.lng},${item.lat},0</coordinates></Point>
+    </Placemark>`);
+  await escribir(res, `
+  </Document>
+</kml>
+`);
+}
+
+/**
+ * Envía las detecciones como archivo descargable en el formato pedido.
+ * `opciones.nombre` es el nombre de archivo sin extensión.
+ */
+async function enviarExportacion(res, formato, datos, opciones) {
+  const { extension, contentType } = FORMATOS[formato];
+
+  res.status(200);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${opciones.nombre}.${extension}"`);
+
+  if (formato === 'csv') await escribirCsv(res, datos);
+  else if (formato === 'geojson') await escribirGeojson(res, datos);
+  else await escribirKml(res, datos, opciones);
+
+  res.end();
+}
+
+module.exports = {
+  FORMATOS,
+  enviarExportacion,
+  escaparCsv,
+  escaparXml
+};
@@ -0,0 +1,113 @@
+// backend/services/firms.js
+// Cliente de la API de área de FIRMS: timeout por fuente, reintentos con backoff
+const fetch = require('node-fetch');
+const firmsFixture = require('./firmsFixture');
+const log = require('./log');
+
+const FIRMS_BASE = 'https://firms.modaps.eosdis.nasa.gov/api/area/csv';
+
+function urlArea(key, source, bbox, days) {
+  return `${FIRMS_BASE}/${key}/${source}/${bbox}/${days}`;
+}
+
+// Error de FIRMS que no mejora reintentando (p. ej. MAP_KEY inválida)
+class ErrorPermanente extends Error {
+  constructor(message, tipo) {
+    super(message);
+    this.tipo = tipo;
+  }
+}
+
+// Tipo de error para métricas: map_key_invalida, timeout, http_5xx, http_4xx, http_429 o red
+function tipoDeError(err) {
+  if (err.tipo) return err.tipo;
+  if (err.type === 'request-timeout') return 'timeout';
+  return 'red';
+}
+
+const esperar = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function descargar(url, timeoutMs) {
+  const response = await fetch(url, { timeout: timeoutMs });
+  const text = await response.text();
+
+  if (text.trim() === 'Invalid MAP_KEY.') {
+    throw new ErrorPermanente('API Key inválida', 'map_key_invalida');
+  }
+  // 5xx y 429 son transitorios; otros 4xx no
+  if (response.status >= 500 || response.status === 429) {
+    throw Object.assign(new Error(`HTTP ${response.status}`), { tipo: response.status === 429 ? 'http_429' : 'http_5xx' });
+  }
+  if (response.status >= 400) {
+    throw new ErrorPermanente(`HTTP ${response.status}`, 'http_4xx');
+  }
+  return text;
+}
+
+/**
+ * Descarga el CSV de una fuente con reintentos (backoff exponencial + jitter).
+ * Nunca lanza: devuelve un informe con estado `ok`, `vacia` o `error`
+ * (con `error` y `tipoError`), el texto CSV (si lo hay), intentos
+ * realizados y duración total. `registro` es el logger de la solicitud.
+ */
+async function consultarFuente({ key, source, bbox, days, timeoutMs, reintentos, backoffMs, registro = log }) {
+  const url = urlArea(key, source, bbox, days);
+  const inicio = Date.now();
+  let intentos = 0;
+  let ultimoError = null;
+
+  while (intentos <= reintentos) {
+    intentos++;
+    try {
+      const text = await descargar(url, timeoutMs);
+      const vacia = !text.includes('latitude');
+      return {
+        source,
+        estado: vacia ? 'vacia' : 'ok',
+        texto: vacia ? null : text,
+        intentos,
+        duracionMs: Date.now() - inicio
+      };
+    } catch (err) {
+      ultimoError = err;
+      if (err instanceof ErrorPermanente || intentos > reintentos) break;
+      const espera = backoffMs * 2 ** (intentos - 1) + Math.floor(Math.random() * backoffMs / 2);
+      registro.warn('FIRMS: intento fallido, se reintenta', { source, intento: intentos, esperaMs: espera, error: err });
+      await esperar(espera);
+    }
+  }
+
+  return {
+    source,
+    estado: 'error',
+    texto: null,
+    // Los errores de red de node-fetch incluyen la URL, y con ella la MAP_KEY
+    error: ultimoError.type === 'request-timeout' ? `Timeout tras ${timeoutMs} ms` : log.redactar(ultimoError.message),
+    tipoError: tipoDeError(ultimoError),
+    intentos,
+    duracionMs: Date.now() - inicio
+  };
+}
+
+// Consulta todas las fuentes en paralelo
+function consultarFuentes(sources, opciones) {
+  return Promise.all(sources.map(source => consultarFuente({ ...opciones, source })));
+}
+
+/**
+ * Cliente según FIRMS_MODE: `live` consulta la API; `fixture` sirve CSV
+ * locales (services/firmsFixture.js). Ambos exponen `modo`,
+ * `consultarFuentes(sources, opciones)` y `estado()`.
+ */
+function crearCliente({ modo = 'live', fixture }) {
+  if (modo === 'live') return { modo, consultarFuentes, estado: () => ({ modo }) };
+  if (modo === 'fixture') return firmsFixture.crearFixture(fixture);
+  throw new Error(`FIRMS_MODE "${modo}" no soportado (usa live, fixture)`);
+}
+
+module.exports = {
+  urlArea,
+  consultarFuente,
+  consultarFuentes,
+  crearCliente
+};
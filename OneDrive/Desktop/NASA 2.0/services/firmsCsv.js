@@ -0,0 +1,165 @@
+// backend/services/firmsCsv.js
+// Parseo del CSV de FIRMS y mapeo de cada fila a una detección puntuada
+const geografia = require('./geografia');
+const riesgo = require('./riesgo');
+const tiempo = require('./tiempo');
+const i18n = require('./i18n');
+const areasProtegidas = require('./areasProtegidas');
+const log = require('./log');
+
+// Niveles de confianza (0-100) con su color en el mapa
+const NIVELES_CONFIANZA = {
+  'nominal': { min: 0, max: 30, label: 'Nominal', color: '#84cc16' },
+  'low': { min: 30, max: 50, label: 'Baja', color: '#fbbf24' },
+  'medium': { min: 50, max: 70, label: 'Media', color: '#f59e0b' },
+  'high': { min: 70, max: 85, label: 'Alta', color: '#dc2626' },
+  'very_high': { min: 85, max: 100, label: 'Muy Alta', color: '#7f1d1d' }
+};
+
+// Parser CSV mejorado con validación
+function parseCsv(text) {
+  try {
+    const lines = text.trim().split('\n');
+    if (lines.length < 2) {
+      log.debug('CSV vacío o sin datos');
+      return [];
+    }
+    
+    const headers = lines[0].split(',').map(h => 
+      h.trim().toLowerCase().replace(/[^a-z0-9_]/g, '_')
+    );
+    
+    const requiredFields = ['latitude', 'longitude', 'acq_date', 'confidence'];
+    const hasRequired = requiredFields.every(field => headers.includes(field));
+    
+    if (!hasRequired) {
+      log.error('CSV sin los campos requeridos', { columnas: headers });
+      return [];
+    }
+    
+    return lines.slice(1).map((line, idx) => {
+      try {
+        const values = [];
+        let current = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < line.length; i++) {
+          const char = line[i];
+          if (char === '"') {
+            inQuotes = !inQuotes;
+          } else if (char === ',' && !inQuotes) {
+            values.push(current.trim());
+            current = '';
+          } else {
+            current += char;
+          }
+        }
+        values.push(current.trim());
+        
+        const obj = {};
+        headers.forEach((h, i) => {
+          obj[h] = values[i] || "";
+        });
+        
+        // Validar datos críticos
+        if (!obj.latitude || !obj.longitude || isNaN(parseFloat(obj.latitude)) || isNaN(parseFloat(obj.longitude))) {
+          return null;
+        }
+        
+        return obj;
+      } catch (e) {
+        log.warn('línea de CSV inválida', { linea: idx + 2, error: e });
+        return null;
+      }
+    }).filter(row => row !== null);
+  } catch (e) {
+    log.error('error parseando CSV', { error: e });
+    return [];
+  }
+}
+
+// Instante UTC de la pasada (acq_date + acq_time HHMM)
+function parseFechaFirms(dateStr, timeStr) {
+  try {
+    if (!dateStr || !timeStr) {
+      log.warn('fecha u hora faltante', { fecha: dateStr, hora: timeStr });
+      return new Date();
+    }
+    
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const hour = parseInt(timeStr.slice(0, 2)) || 0;
+    const minute = parseInt(timeStr.slice(2, 4)) || 0;
+    
+    const utcDate = new Date(Date.UTC(year, month - 1, day, hour, minute));
+    
+    if (isNaN(utcDate.getTime())) {
+      log.warn('fecha inválida', { fecha: dateStr, hora: timeStr });
+      return new Date();
+    }
+    
+    return utcDate;
+  } catch (e) {
+    log.error('error parseando fecha', { fecha: dateStr, hora: timeStr, error: e });
+    return new Date();
+  }
+}
+
+// Mapear fila FIRMS (ya normalizada: ver services/normalizacion.js)
+function mapFirmsRow(r) {
+  const confianza = parseInt(r.confidence) || 0;
+  const fecha = parseFechaFirms(r.acq_date, r.acq_time);
+  
+  const bright_ti4 = parseFloat(r.bright_ti4) || 0;
+  const bright_ti5 = parseFloat(r.bright_ti5) || 0;
+  const frp = parseFloat(r.frp) || 0;
+  const scan = parseFloat(r.scan) || 0;
+  const track = parseFloat(r.track) || 0;
+  
+  const lat = parseFloat(r.latitude);
+  const lng = parseFloat(r.longitude);
+  const { departamento } = geografia.ubicarPunto(lat, lng);
+  
+  let nivelConfianza = 'nominal';
+  for (const [key, value] of Object.entries(NIVELES_CONFIANZA)) {
+    if (confianza >= value.min && confianza < value.max) {
+      nivelConfianza = key;
+      break;
+    }
+  }
+  
+  // Riesgo y categoría con el modelo predeterminado (ver services/riesgo.js)
+  return riesgo.aplicarModelo({
+    lat,
+    lng,
+    departamento,
+    areasProtegidas: areasProtegidas.areasDe(lat, lng),
+    fechaUTC: r.acq_date,
+    horaUTC: `${r.acq_time.slice(0,2)}:${r.acq_time.slice(2,4) || '00'}`,
+    // Hora local en la zona e idioma predeterminados; ?tz=/?lang= la recalculan
+    ...tiempo.formatearLocal(fecha.getTime(), tiempo.ZONA_PREDETERMINADA, i18n.locale(i18n.IDIOMA_PREDETERMINADO)),
+    timestamp: fecha.getTime(),
+    confianza,
+    nivelConfianza,
+    satellite: r.satellite || 'Desconocido',
+    instrument: r.instrument || 'Desconocido',
+    bright_ti4,
+    bright_ti5,
+    frp,
+    scan,
+    track,
+    daynight: r.daynight || 'D',
+    version: r.version || '',
+    producto: r.producto || null,
+    confianzaOriginal: r.confianzaOriginal ?? r.confidence,
+    camposDerivados: r.camposDerivados || {},
+    pixelArea: (scan * track).toFixed(2),
+    temperaturaEstimada: bright_ti4 ? `${(bright_ti4 - 273.15).toFixed(1)}°C` : 'N/A'
+  });
+}
+
+module.exports = {
+  NIVELES_CONFIANZA,
+  parseCsv,
+  parseFechaFirms,
+  mapFirmsRow
+};
@@ -0,0 +1,137 @@
+// backend/services/firmsFixture.js
+// Modo fixture de FIRMS: CSV locales por fuente y fecha, con reproducción de temporadas
+const fs = require('fs');
+const path = require('path');
+const log = require('./log');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Instante UTC de adquisición (acq_date + acq_time HHMM), igual que en la API
+function instanteFila(fila) {
+  const hhmm = String(fila.acq_time || '0').padStart(4, '0');
+  return Date.parse(`${fila.acq_date}T${hhmm.slice(0, 2)}:${hhmm.slice(2, 4)}:00Z`);
+}
+
+// Une los CSV de una carpeta; archivos con columnas distintas (NRT y archivo) comparten cabecera
+function cargarFuente(carpeta) {
+  const columnas = [];
+  const filas = [];
+
+  fs.readdirSync(carpeta).filter(archivo => archivo.endsWith('.csv')).sort().forEach(archivo => {
+    const lineas = fs.readFileSync(path.join(carpeta, archivo), 'utf8').split(/\r?\n/).filter(l => l.trim());
+    if (lineas.length < 2) return;
+    const cabecera = lineas[0].split(',').map(c => c.trim());
+    cabecera.forEach(c => { if (!columnas.includes(c)) columnas.push(c); });
+
+    lineas.slice(1).forEach(linea => {
+      const valores = linea.split(',');
+      const fila = Object.fromEntries(cabecera.map((c, i) => [c, (valores[i] || '').trim()]));
+      const timestamp = instanteFila(fila);
+      const lat = parseFloat(fila.latitude);
+      const lng = parseFloat(fila.longitude);
+      if (isNaN(timestamp) || isNaN(lat) || isNaN(lng)) return;
+      filas.push({ fila, timestamp, lat, lng });
+    });
+  });
+
+  filas.sort((a, b) => a.timestamp - b.timestamp);
+  return { columnas, filas };
+}
+
+const dentroDeBbox = (bbox, { lat, lng }) => {
+  const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
+  return lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+};
+
+const inicioDeDia = ts => Math.floor(ts / DIA_MS) * DIA_MS;
+
+/**
+ * Cliente FIRMS que lee `directorio/<SOURCE>/*.csv` (p. ej.
+ * `VIIRS_SNPP_NRT/2024-09-10.csv`) y responde como la API de área: filas
+ * del bbox en los `days` días UTC que terminan en el instante simulado.
+ * Sin `velocidad`, ese instante es `fecha` (fin del día) o la última
+ * detección; con `velocidad` el reloj avanza desde `inicio` (o el primer
+ * día) `velocidad` veces más rápido que el real y se detiene al final.
+ */
+function crearFixture({ directorio, velocidad = 0, inicio, fecha }) {
+  if (!fs.existsSync(directorio)) {
+    throw new Error(`FIRMS_FIXTURE_DIR "${directorio}" no existe`);
+  }
+
+  const fuentes = new Map();
+  fs.readdirSync(directorio, { withFileTypes: true })
+    .filter(entrada => entrada.isDirectory())
+    .forEach(entrada => {
+      const datos = cargarFuente(path.join(directorio, entrada.name));
+      if (datos.filas.length) fuentes.set(entrada.name, datos);
+    });
+
+  const todas = [...fuentes.values()].flatMap(f => f.filas);
+  if (!todas.length) {
+    throw new Error(`FIRMS_FIXTURE_DIR "${directorio}" no tiene CSV con detecciones`);
+  }
+  const primera = Math.min(...todas.map(f => f.timestamp));
+  const ultima = Math.max(...todas.map(f => f.timestamp));
+
+  let reloj;
+  if (velocidad > 0) {
+    const origen = inicio ? Date.parse(inicio) : inicioDeDia(primera);
+    if (isNaN(origen)) throw new Error(`FIRMS_FIXTURE_INICIO "${inicio}" no es una fecha válida`);
+    const arranque = Date.now();
+    reloj = () => Math.min(ultima, origen + (Date.now() - arranque) * velocidad);
+  } else {
+    const referencia = fecha ? Date.parse(fecha) + DIA_MS - 1 : ultima;
+    if (isNaN(referencia)) throw new Error(`FIRMS_FIXTURE_FECHA "${fecha}" no es una fecha válida`);
+    reloj = () => referencia;
+  }
+
+  log.info('FIRMS fixture cargado', {
+    directorio,
+    fuentes: Object.fromEntries([...fuentes].map(([source, f]) => [source, f.filas.length]))
+  });
+
+  // Mismo informe que firms.consultarFuente; una fuente sin CSV responde vacía
+  function consultarFuente({ source, bbox, days }) {
+    const inicioConsulta = Date.now();
+    const ahora = reloj();
+    const desde = inicioDeDia(ahora) - (days - 1) * DIA_MS;
+    const datos = fuentes.get(source);
+    const filas = datos
+      ? datos.filas.filter(f => f.timestamp >= desde && f.timestamp <= ahora && dentroDeBbox(bbox, f))
+      : [];
+
+    const texto = filas.length
+      ? [datos.columnas.join(','), ...filas.map(({ fila }) => datos.columnas.map(c => fila[c] || '').join(','))].join('\n')
+      : null;
+    return {
+      source,
+      estado: texto ? 'ok' : 'vacia',
+      texto,
+      intentos: 1,
+      duracionMs: Date.now() - inicioConsulta
+    };
+  }
+
+  return {
+    modo: 'fixture',
+    async consultarFuentes(sources, opciones) {
+      return sources.map(source => consultarFuente({ ...opciones, source }));
+    },
+    estado() {
+      const ahora = reloj();
+      return {
+        modo: 'fixture',
+        directorio,
+        fuentes: Object.fromEntries([...fuentes].map(([source, f]) => [source, f.filas.length])),
+        desde: new Date(primera).toISOString(),
+        hasta: new Date(ultima).toISOString(),
+        ahora: new Date(ahora).toISOString(),
+        reproduccion: velocidad > 0 ? { velocidad, terminada: ahora >= ultima } : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  crearFixture
+};
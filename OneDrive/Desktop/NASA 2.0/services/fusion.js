@@ -0,0 +1,96 @@
+// backend/services/fusion.js
+// Fusión de detecciones del mismo fuego vistas por distintos satélites
+const { distanciaKm } = require('./incidentes');
+
+const KM_POR_GRADO = 111.32;
+
+/**
+ * Confianza combinada (0-100) como "OR ruidoso": probabilidad de que al
+ * menos un sensor acierte, tratando cada confianza como independiente.
+ * Dos sensores al 60% dan 84%; un único sensor conserva su valor.
+ */
+function combinarConfianza(confianzas) {
+  const noDetecta = confianzas.reduce((acc, c) => acc * (1 - Math.min(100, Math.max(0, c)) / 100), 1);
+  return Math.round((1 - noDetecta) * 100);
+}
+
+/**
+ * Agrupa detecciones de sensores distintos separadas menos de `distanciaKm`
+ * y `ventanaMin` minutos. Cada grupo se representa con la detección de
+ * mayor confianza (luego FRP) e incorpora `sensores`, `corroboracion`
+ * y `confianzaCombinada`.
+ * Detecciones del mismo sensor nunca se fusionan: son píxeles distintos.
+ */
+function fusionarDetecciones(detecciones, { distanciaKm: maxKm, ventanaMin }) {
+  if (!detecciones.length) return [];
+
+  const ventanaMs = ventanaMin * 60 * 1000;
+  const celdaLat = maxKm / KM_POR_GRADO;
+  const latMax = detecciones.reduce((max, d) => Math.max(max, Math.abs(d.lat)), 0);
+  const celdaLng = celdaLat / Math.cos(Math.min(latMax, 89) * Math.PI / 180);
+  const celdaDe = d => [Math.floor(d.lng / celdaLng), Math.floor(d.lat / celdaLat)];
+
+  const grilla = new Map();
+  detecciones.forEach((d, i) => {
+    const clave = celdaDe(d).join(':');
+    if (!grilla.has(clave)) grilla.set(clave, []);
+    grilla.get(clave).push(i);
+  });
+
+  // Semillas en orden de confianza: el mejor píxel representa al grupo
+  const orden = detecciones
+    .map((_, i) => i)
+    .sort((a, b) => (detecciones[b].confianza - detecciones[a].confianza) ||
+      ((detecciones[b].frp || 0) - (detecciones[a].frp || 0)));
+
+  const asignada = new Array(detecciones.length).fill(false);
+  const resultado = [];
+
+  orden.forEach(i => {
+    if (asignada[i]) return;
+    asignada[i] = true;
+    const semilla = detecciones[i];
+    const grupo = [semilla];
+    const sensorDe = d => d.sourceKey || d.source;
+    const vistos = new Set([sensorDe(semilla)]);
+
+    // Candidatos cercanos de otros sensores, del más próximo al más lejano
+    const [cx, cy] = celdaDe(semilla);
+    const candidatos = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        (grilla.get(`${cx + dx}:${cy + dy}`) || []).forEach(j => {
+          if (asignada[j]) return;
+          const otro = detecciones[j];
+          if (vistos.has(sensorDe(otro))) return;
+          if (Math.abs(otro.timestamp - semilla.timestamp) > ventanaMs) return;
+          const dist = distanciaKm(semilla, otro);
+          if (dist <= maxKm) candidatos.push({ j, dist });
+        });
+      }
+    }
+
+    candidatos.sort((a, b) => a.dist - b.dist).forEach(({ j }) => {
+      const otro = detecciones[j];
+      if (vistos.has(sensorDe(otro))) return;
+      vistos.add(sensorDe(otro));
+      asignada[j] = true;
+      grupo.push(otro);
+    });
+
+    resultado.push({
+      ...semilla,
+      sensores: grupo.map(d => d.source),
+      corroboracion: grupo.length,
+      confianzaCombinada: combinarConfianza(grupo.map(d => d.confianza || 0)),
+      primeraDeteccion: grupo.reduce((min, d) => Math.min(min, d.timestamp), Infinity)
+    });
+  });
+
+  return resultado.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+module.exports = {
+  fusionarDetecciones,
+  combinarConfianza
+};
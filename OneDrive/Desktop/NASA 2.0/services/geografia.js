@@ -0,0 +1,145 @@
+// backend/services/geografia.js
+// Límites departamentales con filtro punto-en-polígono
+const fs = require('fs');
+const path = require('path');
+const log = require('./log');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Extensión [minLng, minLat, maxLng, maxLat] de una geometría
+function calcularExtension(geometry) {
+  const ext = [Infinity, Infinity, -Infinity, -Infinity];
+  const recorrer = coords => {
+    if (typeof coords[0] === 'number') {
+      ext[0] = Math.min(ext[0], coords[0]);
+      ext[1] = Math.min(ext[1], coords[1]);
+      ext[2] = Math.max(ext[2], coords[0]);
+      ext[3] = Math.max(ext[3], coords[1]);
+      return;
+    }
+    coords.forEach(recorrer);
+  };
+  recorrer(geometry.coordinates);
+  return ext;
+}
+
+/**
+ * `minLng,minLat,maxLng,maxLat` (cadena o arreglo) como 4 números finitos
+ * con mín < máx, o null si no lo es
+ */
+function parsearBbox(bbox) {
+  const partes = Array.isArray(bbox) ? bbox : String(bbox).split(',');
+  const valores = partes.map(v => (String(v).trim() === '' ? NaN : Number(v)));
+  if (valores.length !== 4 || !valores.every(Number.isFinite)) return null;
+  const [minLng, minLat, maxLng, maxLat] = valores;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+  return valores;
+}
+
+// Ray casting sobre un anillo [[lng, lat], ...]
+function puntoEnAnillo(lng, lat, anillo) {
+  let dentro = false;
+  for (let i = 0, j = anillo.length - 1; i < anillo.length; j = i++) {
+    const [xi, yi] = anillo[i];
+    const [xj, yj] = anillo[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      dentro = !dentro;
+    }
+  }
+  return dentro;
+}
+
+// Polígono con huecos: dentro del exterior y fuera de todos los interiores
+function puntoEnPoligono(lng, lat, rings) {
+  if (!puntoEnAnillo(lng, lat, rings[0])) return false;
+  return !rings.slice(1).some(hueco => puntoEnAnillo(lng, lat, hueco));
+}
+
+function puntoEnGeometria(lng, lat, geometry) {
+  if (geometry.type === 'Polygon') {
+    return puntoEnPoligono(lng, lat, geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(rings => puntoEnPoligono(lng, lat, rings));
+  }
+  return false;
+}
+
+// `archivo` relativo a data/ o una ruta absoluta; null si no existe
+function cargarCapa(archivo) {
+  const ruta = path.resolve(DATA_DIR, archivo);
+  if (!fs.existsSync(ruta)) return null;
+
+  try {
+    const geojson = JSON.parse(fs.readFileSync(ruta, 'utf8'));
+    const features = geojson.features
+      .filter(f => f.geometry && ['Polygon', 'MultiPolygon'].includes(f.geometry.type))
+      .map(f => ({ ...f, extension: calcularExtension(f.geometry) }));
+    return { ...geojson, features };
+  } catch (e) {
+    log.error('error cargando límites', { archivo, error: e });
+    return null;
+  }
+}
+
+const departamentos = cargarCapa('departamentos.geojson');
+
+if (!departamentos) {
+  log.warn('data/departamentos.geojson no disponible: filtro por polígono desactivado');
+}
+
+function buscarFeature(capa, lng, lat) {
+  if (!capa) return null;
+  return capa.features.find(f => {
+    const [minLng, minLat, maxLng, maxLat] = f.extension;
+    if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+    return puntoEnGeometria(lng, lat, f.geometry);
+  }) || null;
+}
+
+// Departamento que contiene el punto (null fuera de Bolivia)
+function ubicarPunto(lat, lng) {
+  const depto = buscarFeature(departamentos, lng, lat);
+  return { departamento: depto ? depto.properties.nombre : null };
+}
+
+/**
+ * Indica si una detección ya ubicada pertenece a la región pedida.
+ * `bolivia` exige estar dentro de algún departamento; regiones sin polígono
+ * (p. ej. `custom`) no filtran.
+ */
+function perteneceARegion(item, region) {
+  if (!departamentos || !region || region === 'custom') return true;
+  // Registros archivados antes de existir el campo se ubican al vuelo
+  const departamento = item.departamento !== undefined
+    ? item.departamento
+    : ubicarPunto(item.lat, item.lng).departamento;
+  if (region === 'bolivia') return departamento !== null;
+  const depto = departamentos.features.find(f => f.properties.region === region);
+  if (!depto) return true;
+  return departamento === depto.properties.nombre;
+}
+
+// GeoJSON de límites para el frontend (todas o solo una región)
+function obtenerLimites(region) {
+  if (!departamentos) return null;
+  const features = departamentos.features
+    .filter(f => !region || region === 'bolivia' || f.properties.region === region)
+    .map(({ type, properties, geometry }) => ({ type, properties, geometry }));
+
+  return {
+    type: 'FeatureCollection',
+    metadata: departamentos.metadata,
+    features
+  };
+}
+
+module.exports = {
+  ubicarPunto,
+  perteneceARegion,
+  obtenerLimites,
+  puntoEnGeometria,
+  calcularExtension,
+  parsearBbox,
+  cargarCapa
+};
@@ -0,0 +1,116 @@
+// backend/services/historico.js
+// Archivo histórico persistente de detecciones FIRMS (base embebida NeDB)
+const Datastore = require('@seald-io/nedb');
+const log = require('./log');
+
+// Días máximos por consulta a /api/historico (una temporada completa)
+const MAX_DIAS_CONSULTA = 366;
+
+// Identificador estable de una detección (misma pasada, mismo píxel, mismo sensor)
+function idDeteccion(item) {
+  return [
+    item.sourceKey || item.source,
+    item.fechaUTC,
+    item.horaUTC,
+    item.lat.toFixed(4),
+    item.lng.toFixed(4)
+  ].join('|');
+}
+
+/**
+ * Abre el archivo en `archivo` (ruta de la base NeDB; null la deja en
+ * memoria). Cada app crea el suyo: importar el módulo no abre nada.
+ */
+function crearHistorico({ archivo }) {
+  const db = new Datastore({
+    filename: archivo || undefined,
+    autoload: true,
+    onload: (err) => {
+      if (err) return log.error('error cargando histórico', { archivo, error: err });
+      migrarTimestamps().catch(e => log.error('error migrando histórico', { archivo, error: e }));
+    }
+  });
+
+  [{ fieldName: 'id', unique: true }, { fieldName: 'timestamp' }].forEach(indice => {
+    db.ensureIndexAsync(indice)
+      .catch(err => log.error('error creando índice del histórico', { archivo, campo: indice.fieldName, error: err }));
+  });
+
+  // Guardar detecciones nuevas; las ya archivadas se ignoran
+  async function insertarNuevas(detecciones) {
+    if (!detecciones.length) return 0;
+
+    const porId = new Map();
+    detecciones.forEach(item => {
+      const id = idDeteccion(item);
+      if (!porId.has(id)) porId.set(id, { ...item, id });
+    });
+
+    const existentes = await db.findAsync({ id: { $in: [...porId.keys()] } }, { id: 1 });
+    existentes.forEach(doc => porId.delete(doc.id));
+
+    const nuevos = [...porId.values()];
+    if (nuevos.length) {
+      await db.insertAsync(nuevos);
+    }
+    return nuevos.length;
+  }
+
+  // Las llamadas se encadenan: dos consultas simultáneas de la misma región
+  // no deben insertar el mismo id a la vez (índice único)
+  let cola = Promise.resolve();
+  function guardarDetecciones(detecciones) {
+    const turno = cola.then(() => insertarNuevas(detecciones));
+    cola = turno.catch(() => {});
+    return turno;
+  }
+
+  // Versiones anteriores guardaban `timestamp` desplazado a UTC-4; se recalcula
+  // desde fechaUTC/horaUTC para que sea el instante UTC real
+  async function migrarTimestamps() {
+    const docs = await db.findAsync({}, { id: 1, fechaUTC: 1, horaUTC: 1, timestamp: 1 });
+    let migrados = 0;
+    for (const doc of docs) {
+      const ts = Date.parse(`${doc.fechaUTC}T${doc.horaUTC || '00:00'}:00Z`);
+      if (isNaN(ts) || ts === doc.timestamp) continue;
+      await db.updateAsync({ id: doc.id }, { $set: { timestamp: ts } });
+      migrados++;
+    }
+    if (migrados) log.info('histórico: timestamps migrados a UTC', { migrados });
+  }
+
+  // Consultar detecciones archivadas con `desde` <= timestamp < `hasta` (ms UTC)
+  async function consultarHistorico({ desde, hasta, bbox, source }) {
+    const query = {
+      timestamp: { $gte: desde, $lt: hasta }
+    };
+
+    if (bbox) {
+      const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
+      query.lat = { $gte: minLat, $lte: maxLat };
+      query.lng = { $gte: minLng, $lte: maxLng };
+    }
+
+    if (source && source !== 'ALL') {
+      query.sourceKey = source;
+    }
+
+    return db.findAsync(query, { _id: 0 }).sort({ timestamp: -1 });
+  }
+
+  async function contarHistorico() {
+    return db.countAsync({});
+  }
+
+  return {
+    guardarDetecciones,
+    consultarHistorico,
+    contarHistorico
+  };
+}
+
+module.exports = {
+  MAX_DIAS_CONSULTA,
+  crearHistorico,
+  idDeteccion
+};
@@ -0,0 +1,131 @@
+// backend/services/huellas.js
+// Huella de área quemada: unión de los píxeles de cada detección (scan x track)
+const polygonClipping = require('polygon-clipping');
+const tiempo = require('./tiempo');
+
+const KM_POR_GRADO = 111.32;
+const HA_POR_KM2 = 100;
+// Tamaño nominal del píxel en nadir (km) cuando la fila no trae scan/track
+const PIXEL_NOMINAL_KM = { VIIRS: 0.375, MODIS: 1 };
+const FUERA_DE_REGION = 'Fuera de Bolivia';
+
+function pixelNominal(d) {
+  return String(d.instrument || d.producto || '').toUpperCase().includes('MODIS')
+    ? PIXEL_NOMINAL_KM.MODIS
+    : PIXEL_NOMINAL_KM.VIIRS;
+}
+
+// Rectángulo del píxel: `scan` en sentido este-oeste y `track` norte-sur
+function poligonoPixel(d) {
+  const nominal = pixelNominal(d);
+  const dLat = (d.track || nominal) / 2 / KM_POR_GRADO;
+  const dLng = (d.scan || nominal) / 2 / (KM_POR_GRADO * Math.cos(d.lat * Math.PI / 180));
+  return [[
+    [d.lng - dLng, d.lat - dLat],
+    [d.lng + dLng, d.lat - dLat],
+    [d.lng + dLng, d.lat + dLat],
+    [d.lng - dLng, d.lat + dLat],
+    [d.lng - dLng, d.lat - dLat]
+  ]];
+}
+
+// Área (km²) de un anillo proyectado localmente (equirectangular en su latitud)
+function areaAnilloKm2(anillo) {
+  const cosLat = Math.cos(anillo[0][1] * Math.PI / 180);
+  let doble = 0;
+  for (let i = 0, j = anillo.length - 1; i < anillo.length; j = i++) {
+    doble += (anillo[j][0] * cosLat) * anillo[i][1] - (anillo[i][0] * cosLat) * anillo[j][1];
+  }
+  return Math.abs(doble) / 2 * KM_POR_GRADO * KM_POR_GRADO;
+}
+
+// Área en hectáreas de un MultiPolygon (exteriores menos huecos)
+function areaHa(multipoligono) {
+  const km2 = multipoligono.reduce((suma, [exterior, ...huecos]) =>
+    suma + areaAnilloKm2(exterior) - huecos.reduce((h, hueco) => h + areaAnilloKm2(hueco), 0), 0);
+  return Number((km2 * HA_POR_KM2).toFixed(1));
+}
+
+// Suma ingenua de los píxeles (los solapados cuentan dos veces), sin unión
+function areaPixelesHa(datos) {
+  const km2 = datos.reduce((suma, d) => suma + areaAnilloKm2(poligonoPixel(d)[0]), 0);
+  return Number((km2 * HA_POR_KM2).toFixed(1));
+}
+
+const unir = poligonos => (poligonos.length ? polygonClipping.union(...poligonos) : []);
+
+const redondearCoordenadas = multipoligono => multipoligono.map(poligono =>
+  poligono.map(anillo => anillo.map(([lng, lat]) => [Number(lng.toFixed(5)), Number(lat.toFixed(5))])));
+
+/**
+ * Huellas por día local y departamento: cada Feature es la unión de los
+ * píxeles del grupo (los solapados cuentan una sola vez). `resumen` compara
+ * el área real con la suma ingenua de píxeles y la desglosa por día y
+ * departamento (unión sobre todo el período).
+ */
+function calcularHuellas(datos, { tz = tiempo.ZONA_PREDETERMINADA } = {}) {
+  const grupos = new Map();
+  datos.forEach(d => {
+    const fecha = tiempo.fechaISO(d.timestamp, tz);
+    const departamento = d.departamento || FUERA_DE_REGION;
+    const clave = `${fecha}|${departamento}`;
+    if (!grupos.has(clave)) grupos.set(clave, { fecha, departamento, pixeles: [], detecciones: 0, areaPixelesKm2: 0 });
+    const grupo = grupos.get(clave);
+    const pixel = poligonoPixel(d);
+    grupo.pixeles.push(pixel);
+    grupo.detecciones++;
+    grupo.areaPixelesKm2 += areaAnilloKm2(pixel[0]);
+  });
+
+  const features = [...grupos.values()]
+    .sort((a, b) => a.fecha.localeCompare(b.fecha) || a.departamento.localeCompare(b.departamento))
+    .map(g => {
+      const union = unir(g.pixeles);
+      return {
+        type: 'Feature',
+        properties: {
+          fecha: g.fecha,
+          departamento: g.departamento,
+          detecciones: g.detecciones,
+          areaHa: areaHa(union),
+          areaPixelesHa: Number((g.areaPixelesKm2 * HA_POR_KM2).toFixed(1))
+        },
+        geometry: { type: 'MultiPolygon', coordinates: redondearCoordenadas(union) },
+        union
+      };
+    });
+
+  // Cada píxel va al departamento de su centro: el área diaria es la suma de
+  // sus huellas. Entre días sí hay solapes, así que cada departamento se vuelve a unir
+  const porDia = {};
+  const porDepartamentoUniones = {};
+  features.forEach(f => {
+    const { fecha, departamento } = f.properties;
+    porDia[fecha] = Number(((porDia[fecha] || 0) + f.properties.areaHa).toFixed(1));
+    (porDepartamentoUniones[departamento] = porDepartamentoUniones[departamento] || []).push(f.union);
+  });
+  const porDepartamento = {};
+  Object.entries(porDepartamentoUniones).forEach(([departamento, uniones]) => {
+    porDepartamento[departamento] = areaHa(unir(uniones));
+  });
+
+  return {
+    type: 'FeatureCollection',
+    resumen: {
+      detecciones: datos.length,
+      areaHa: Number(Object.values(porDepartamento).reduce((suma, ha) => suma + ha, 0).toFixed(1)),
+      areaPixelesHa: Number(features.reduce((suma, f) => suma + f.properties.areaPixelesHa, 0).toFixed(1)),
+      porDia,
+      porDepartamento
+    },
+    features: features.map(({ union, ...feature }) => feature)
+  };
+}
+
+module.exports = {
+  PIXEL_NOMINAL_KM,
+  poligonoPixel,
+  areaHa,
+  areaPixelesHa,
+  calcularHuellas
+};
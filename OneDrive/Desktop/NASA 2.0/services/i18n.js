@@ -0,0 +1,164 @@
+// backend/services/i18n.js
+// Textos de la API en español e inglés (?lang=es|en)
+const IDIOMAS = {
+  es: 'es-BO',
+  en: 'en-US'
+};
+const IDIOMA_PREDETERMINADO = IDIOMAS[process.env.IDIOMA] ? process.env.IDIOMA : 'es';
+
+const TEXTOS = {
+  es: {
+    'confianza.nominal': 'Nominal',
+    'confianza.low': 'Baja',
+    'confianza.medium': 'Media',
+    'confianza.high': 'Alta',
+    'confianza.very_high': 'Muy Alta',
+    'severidad.baja': 'Baja',
+    'severidad.media': 'Media',
+    'severidad.alta': 'Alta',
+    'severidad.muy_alta': 'Muy alta',
+    'riesgo.base': 'Confianza de la detección',
+    'riesgo.limite': 'Ajuste al rango 0-100',
+    'exportacion.titulo': 'Incendios FIRMS - {zona} ({dias} días)',
+    'mensaje.sinFuentes': 'Ninguna fuente de FIRMS respondió',
+    'mensaje.sinIncendios': 'No se encontraron incendios activos en el área y período seleccionados',
+    'error.apiKey': 'API Key no configurada',
+    'error.apiKeyMensaje': 'Configura FIRMS_MAP_KEY en el archivo .env',
+    'error.tipo': 'Tipo no soportado',
+    'error.formato': 'Formato no soportado',
+    'error.parametros': 'Parámetros inválidos',
+    'error.modeloRiesgo': 'Modelo de riesgo desconocido',
+    'error.zonaHoraria': 'Zona horaria inválida',
+    'error.zonaHorariaMensaje': 'Usa un nombre IANA, p. ej. America/La_Paz',
+    'error.idioma': 'Idioma no soportado',
+    'error.region': 'Región no soportada',
+    'error.fuente': 'Fuente no soportada',
+    'error.bbox': 'bbox inválido',
+    'error.bboxMensaje': 'Usa bbox=minLng,minLat,maxLng,maxLat con cuatro números y mín < máx',
+    'error.fechas': 'Fechas inválidas',
+    'error.fechasMensaje': 'Usa desde=YYYY-MM-DD y opcionalmente hasta=YYYY-MM-DD',
+    'error.rango': 'Rango inválido',
+    'error.rangoMensaje': '"desde" debe ser anterior o igual a "hasta"',
+    'error.incendios': 'Error obteniendo incendios',
+    'error.incidentes': 'Error obteniendo incidentes',
+    'error.estadisticas': 'Error calculando estadísticas',
+    'error.densidad': 'Error calculando la densidad',
+    'error.propagacion': 'Error estimando la propagación',
+    'error.huellas': 'Error calculando las huellas de área quemada',
+    'error.stream': 'Error abriendo la conexión en vivo',
+    'error.streamLleno': 'Demasiadas conexiones en vivo',
+    'error.streamLlenoMensaje': 'Se alcanzó el máximo de clientes o de consultas de /api/stream; vuelve a intentar más tarde o consulta /api/eventos',
+    'error.streamRegion': '/api/stream solo acepta region=<nombre>; para un bbox usa /api/eventos',
+    'error.historico': 'Error consultando histórico',
+    'error.series': 'Error construyendo la serie temporal',
+    'error.rangoSerie': 'Máximo {max} intervalos por serie con intervalo={intervalo}',
+    'error.rangoHistorico': 'Máximo {max} días por consulta al histórico',
+    'error.rateLimit': 'Demasiadas solicitudes',
+    'error.rateLimitMensaje': 'Por favor espera un momento antes de volver a intentar',
+    'error.noEncontrado': 'Endpoint no encontrado',
+    'error.claveInvalida': 'API key inválida o revocada',
+    'error.claveInvalidaMensaje': 'Revisa la cabecera X-API-Key u omítela para el acceso público',
+    'error.claveRequerida': 'Se requiere API key',
+    'error.sinPermiso': 'Permiso insuficiente',
+    'error.rolRequerido': 'Esta ruta requiere una clave con rol {rol}',
+    'error.claveNoEncontrada': 'Clave no encontrada',
+    'error.claves': 'Error gestionando claves de API',
+    'error.meteo': 'Error obteniendo datos meteorológicos',
+    'error.meteoDesactivado': 'Proveedor meteorológico desactivado',
+    'error.meteoDesactivadoMensaje': 'Configura METEO_PROVEEDOR (open-meteo o archivo)',
+    'error.sinLimites': 'Límites departamentales no disponibles',
+    'error.sinAreas': 'Áreas protegidas no disponibles',
+    'error.sinAreasMensaje': 'Coloca data/areas-protegidas.geojson o data/territorios-indigenas.geojson',
+    'error.interno': 'Error interno del servidor',
+    'error.internoMensaje': 'Ocurrió un error inesperado'
+  },
+  en: {
+    'confianza.nominal': 'Nominal',
+    'confianza.low': 'Low',
+    'confianza.medium': 'Medium',
+    'confianza.high': 'High',
+    'confianza.very_high': 'Very high',
+    'severidad.baja': 'Low',
+    'severidad.media': 'Medium',
+    'severidad.alta': 'High',
+    'severidad.muy_alta': 'Very high',
+    'riesgo.base': 'Detection confidence',
+    'riesgo.limite': 'Clamp to the 0-100 range',
+    'exportacion.titulo': 'FIRMS fires - {zona} ({dias} days)',
+    'mensaje.sinFuentes': 'No FIRMS source responded',
+    'mensaje.sinIncendios': 'No active fires found in the selected area and period',
+    'error.apiKey': 'API key not configured',
+    'error.apiKeyMensaje': 'Set FIRMS_MAP_KEY in the .env file',
+    'error.tipo': 'Unsupported type',
+    'error.formato': 'Unsupported format',
+    'error.parametros': 'Invalid parameters',
+    'error.modeloRiesgo': 'Unknown risk model',
+    'error.zonaHoraria': 'Invalid time zone',
+    'error.zonaHorariaMensaje': 'Use an IANA name, e.g. America/La_Paz',
+    'error.idioma': 'Unsupported language',
+    'error.region': 'Unsupported region',
+    'error.fuente': 'Unsupported source',
+    'error.bbox': 'Invalid bbox',
+    'error.bboxMensaje': 'Use bbox=minLng,minLat,maxLng,maxLat with four numbers and min < max',
+    'error.fechas': 'Invalid dates',
+    'error.fechasMensaje': 'Use desde=YYYY-MM-DD and optionally hasta=YYYY-MM-DD',
+    'error.rango': 'Invalid range',
+    'error.rangoMensaje': '"desde" must be on or before "hasta"',
+    'error.incendios': 'Error fetching fires',
+    'error.incidentes': 'Error fetching incidents',
+    'error.estadisticas': 'Error computing statistics',
+    'error.densidad': 'Error computing density',
+    'error.propagacion': 'Error estimating fire spread',
+    'error.huellas': 'Error computing burned-area footprints',
+    'error.stream': 'Error opening the live connection',
+    'error.streamLleno': 'Too many live connections',
+    'error.streamLlenoMensaje': 'The /api/stream client or query limit was reached; try again later or use /api/eventos',
+    'error.streamRegion': '/api/stream only accepts region=<name>; for a bbox use /api/eventos',
+    'error.historico': 'Error querying the archive',
+    'error.series': 'Error building the time series',
+    'error.rangoSerie': 'At most {max} buckets per series with intervalo={intervalo}',
+    'error.rangoHistorico': 'At most {max} days per archive query',
+    'error.rateLimit': 'Too many requests',
+    'error.rateLimitMensaje': 'Please wait a moment before trying again',
+    'error.noEncontrado': 'Endpoint not found',
+    'error.claveInvalida': 'Invalid or revoked API key',
+    'error.claveInvalidaMensaje': 'Check the X-API-Key header or omit it for public access',
+    'error.claveRequerida': 'API key required',
+    'error.sinPermiso': 'Insufficient permissions',
+    'error.rolRequerido': 'This route requires a key with the {rol} role',
+    'error.claveNoEncontrada': 'Key not found',
+    'error.claves': 'Error managing API keys',
+    'error.meteo': 'Error fetching weather data',
+    'error.meteoDesactivado': 'Weather provider disabled',
+    'error.meteoDesactivadoMensaje': 'Set METEO_PROVEEDOR (open-meteo or archivo)',
+    'error.sinLimites': 'Department boundaries not available',
+    'error.sinAreas': 'Protected areas not available',
+    'error.sinAreasMensaje': 'Add data/areas-protegidas.geojson or data/territorios-indigenas.geojson',
+    'error.interno': 'Internal server error',
+    'error.internoMensaje': 'An unexpected error occurred'
+  }
+};
+
+// Texto de `clave` con {marcadores}; si falta la traducción se usa el español
+function t(lang, clave, valores = {}) {
+  const plantilla = (TEXTOS[lang] && TEXTOS[lang][clave]) || TEXTOS.es[clave] || clave;
+  return plantilla.replace(/\{(\w+)\}/g, (m, nombre) => (nombre in valores ? valores[nombre] : m));
+}
+
+// Textos de configuración: cadena (solo español) u objeto { es, en }
+function traducir(valor, lang) {
+  if (valor && typeof valor === 'object') return valor[lang] || valor.es;
+  return valor;
+}
+
+function locale(lang) {
+  return IDIOMAS[lang] || IDIOMAS[IDIOMA_PREDETERMINADO];
+}
+
+module.exports = {
+  IDIOMAS,
+  IDIOMA_PREDETERMINADO,
+  t,
+  traducir,
+  locale
+};
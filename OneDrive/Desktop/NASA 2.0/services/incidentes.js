@@ -0,0 +1,182 @@
+// backend/services/incidentes.js
+// Agrupación espacio-temporal de focos de calor en incidentes
+const crypto = require('crypto');
+
+const KM_POR_GRADO = 111.32;
+
+// Distancia en km entre dos puntos (haversine)
+function distanciaKm(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// Envolvente convexa (monotone chain) de una lista de [lng, lat]
+function envolventeConvexa(puntos) {
+  const pts = [...new Map(puntos.map(p => [`${p[0]},${p[1]}`, p])).values()]
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (pts.length < 3) return pts;
+
+  const cruz = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const inferior = [];
+  for (const p of pts) {
+    while (inferior.length >= 2 && cruz(inferior[inferior.length - 2], inferior[inferior.length - 1], p) <= 0) {
+      inferior.pop();
+    }
+    inferior.push(p);
+  }
+  const superior = [];
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (superior.length >= 2 && cruz(superior[superior.length - 2], superior[superior.length - 1], p) <= 0) {
+      superior.pop();
+    }
+    superior.push(p);
+  }
+  superior.pop();
+  inferior.pop();
+  return inferior.concat(superior);
+}
+
+// Huella del incidente: envolvente de las esquinas de cada píxel (scan x track km)
+function calcularHuella(detecciones) {
+  const esquinas = [];
+  detecciones.forEach(d => {
+    const medioScan = (d.scan || 0.375) / 2;
+    const medioTrack = (d.track || 0.375) / 2;
+    const dLat = medioTrack / KM_POR_GRADO;
+    const dLng = medioScan / (KM_POR_GRADO * Math.cos(d.lat * Math.PI / 180));
+    esquinas.push(
+      [d.lng - dLng, d.lat - dLat],
+      [d.lng + dLng, d.lat - dLat],
+      [d.lng + dLng, d.lat + dLat],
+      [d.lng - dLng, d.lat + dLat]
+    );
+  });
+
+  const anillo = envolventeConvexa(esquinas).map(([lng, lat]) => [
+    Number(lng.toFixed(5)),
+    Number(lat.toFixed(5))
+  ]);
+  anillo.push(anillo[0]);
+
+  return { type: 'Polygon', coordinates: [anillo] };
+}
+
+// Identificador estable: derivado de la primera detección del incidente
+function idIncidente(primera) {
+  const base = `${primera.sourceKey || primera.source}|${primera.timestamp}|${primera.lat.toFixed(4)}|${primera.lng.toFixed(4)}`;
+  return 'INC-' + crypto.createHash('sha1').update(base).digest('hex').slice(0, 10);
+}
+
+function resumirIncidente(detecciones) {
+  const ordenadas = [...detecciones].sort((a, b) => a.timestamp - b.timestamp);
+  const primera = ordenadas[0];
+  const ultima = ordenadas[ordenadas.length - 1];
+
+  let frpTotal = 0;
+  let frpMax = 0;
+  let sumaLat = 0;
+  let sumaLng = 0;
+  let sumaPeso = 0;
+  const sensores = new Set();
+
+  ordenadas.forEach(d => {
+    const frp = d.frp || 0;
+    frpTotal += frp;
+    frpMax = Math.max(frpMax, frp);
+    const peso = frp > 0 ? frp : 1;
+    sumaLat += d.lat * peso;
+    sumaLng += d.lng * peso;
+    sumaPeso += peso;
+    (d.sensores || [d.source || d.satellite]).forEach(sensor => sensores.add(sensor));
+  });
+
+  return {
+    id: idIncidente(primera),
+    primeraDeteccion: primera.timestamp,
+    ultimaDeteccion: ultima.timestamp,
+    primeraDeteccionLocal: `${primera.fechaLocal} ${primera.horaLocal}`,
+    ultimaDeteccionLocal: `${ultima.fechaLocal} ${ultima.horaLocal}`,
+    detecciones: ordenadas.length,
+    frpTotal: Number(frpTotal.toFixed(1)),
+    frpMax: Number(frpMax.toFixed(1)),
+    sensores: [...sensores],
+    centroide: {
+      lat: Number((sumaLat / sumaPeso).toFixed(5)),
+      lng: Number((sumaLng / sumaPeso).toFixed(5))
+    },
+    huella: calcularHuella(ordenadas)
+  };
+}
+
+/**
+ * Agrupa detecciones cercanas en espacio y tiempo (componentes conexas).
+ * Asigna `incidenteId` a cada detección y devuelve los incidentes ordenados
+ * por última detección (más recientes primero).
+ */
+function agruparIncidentes(detecciones, { distanciaMaxKm, ventanaHoras }) {
+  if (!detecciones.length) return [];
+
+  const ventanaMs = ventanaHoras * 60 * 60 * 1000;
+  const celdaLat = distanciaMaxKm / KM_POR_GRADO;
+  const latMax = detecciones.reduce((max, d) => Math.max(max, Math.abs(d.lat)), 0);
+  const celdaLng = celdaLat / Math.cos(Math.min(latMax, 89) * Math.PI / 180);
+  const padre = detecciones.map((_, i) => i);
+
+  const raiz = i => {
+    while (padre[i] !== i) {
+      padre[i] = padre[padre[i]];
+      i = padre[i];
+    }
+    return i;
+  };
+
+  // Índice por celdas para comparar solo con vecinos cercanos
+  const grilla = new Map();
+  detecciones.forEach((d, i) => {
+    const cx = Math.floor(d.lng / celdaLng);
+    const cy = Math.floor(d.lat / celdaLat);
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const vecinos = grilla.get(`${cx + dx}:${cy + dy}`);
+        if (!vecinos) continue;
+        vecinos.forEach(j => {
+          const otro = detecciones[j];
+          if (Math.abs(d.timestamp - otro.timestamp) > ventanaMs) return;
+          if (distanciaKm(d, otro) > distanciaMaxKm) return;
+          padre[raiz(i)] = raiz(j);
+        });
+      }
+    }
+
+    const clave = `${cx}:${cy}`;
+    if (!grilla.has(clave)) grilla.set(clave, []);
+    grilla.get(clave).push(i);
+  });
+
+  const grupos = new Map();
+  detecciones.forEach((d, i) => {
+    const r = raiz(i);
+    if (!grupos.has(r)) grupos.set(r, []);
+    grupos.get(r).push(d);
+  });
+
+  const incidentes = [...grupos.values()].map(grupo => {
+    const incidente = resumirIncidente(grupo);
+    grupo.forEach(d => { d.incidenteId = incidente.id; });
+    return incidente;
+  });
+
+  return incidentes.sort((a, b) => b.ultimaDeteccion - a.ultimaDeteccion);
+}
+
+module.exports = {
+  agruparIncidentes,
+  distanciaKm,
+  envolventeConvexa
+};
@@ -0,0 +1,79 @@
+// backend/services/log.js
+// Logs estructurados (una línea JSON por entrada) con niveles, campos
+// heredados por solicitud y redacción de secretos (MAP_KEY en URLs de FIRMS)
+
+const NIVELES = { debug: 10, info: 20, warn: 30, error: 40, silencio: 100 };
+
+// La MAP_KEY va en la ruta: https://firms.../api/area/csv/<MAP_KEY>/<source>/...
+const URL_FIRMS = /(\/api\/area\/csv\/)[^/\s"']+/g;
+
+const secretos = new Set();
+
+// Valores que nunca deben aparecer en un log (MAP_KEY, ADMIN_API_KEY)
+function registrarSecreto(valor) {
+  if (valor && String(valor).length >= 4) secretos.add(String(valor));
+}
+
+function redactar(texto) {
+  let limpio = String(texto).replace(URL_FIRMS, '$1***');
+  secretos.forEach(secreto => {
+    limpio = limpio.split(secreto).join('***');
+  });
+  return limpio;
+}
+
+// Errores como { mensaje, tipo, stack }; cadenas redactadas a cualquier profundidad
+function serializar(valor, profundidad = 0) {
+  if (valor instanceof Error) {
+    return { mensaje: redactar(valor.message), tipo: valor.name, stack: valor.stack && redactar(valor.stack) };
+  }
+  if (typeof valor === 'string') return redactar(valor);
+  if (!valor || typeof valor !== 'object' || profundidad > 4) return valor;
+  if (Array.isArray(valor)) return valor.map(v => serializar(v, profundidad + 1));
+  return Object.fromEntries(Object.entries(valor).map(([k, v]) => [k, serializar(v, profundidad + 1)]));
+}
+
+/**
+ * Crea un logger. `nivel` (debug, info, warn, error, silencio) descarta lo
+ * menos grave; `formato` `json` (por defecto) o `texto` para leer en consola;
+ * `campos` se agregan a cada entrada. `hijo(campos)` crea un logger con
+ * campos adicionales (p. ej. requestId) y la misma configuración.
+ */
+function crearLogger({ nivel = 'info', formato = 'json', campos = {}, escribir } = {}) {
+  const minimo = NIVELES[nivel] ?? NIVELES.info;
+  const salida = escribir || (linea => process.stdout.write(`${linea}\n`));
+
+  function registrar(nivelEntrada, mensaje, extra = {}) {
+    if (NIVELES[nivelEntrada] < minimo) return;
+    const entrada = serializar({ hora: new Date().toISOString(), nivel: nivelEntrada, mensaje, ...campos, ...extra });
+    if (formato === 'texto') {
+      const { hora, nivel: n, mensaje: m, ...resto } = entrada;
+      salida(`${hora} ${n.toUpperCase().padEnd(5)} ${m}${Object.keys(resto).length ? ` ${JSON.stringify(resto)}` : ''}`);
+    } else {
+      salida(JSON.stringify(entrada));
+    }
+  }
+
+  return {
+    nivel,
+    debug: (mensaje, extra) => registrar('debug', mensaje, extra),
+    info: (mensaje, extra) => registrar('info', mensaje, extra),
+    warn: (mensaje, extra) => registrar('warn', mensaje, extra),
+    error: (mensaje, extra) => registrar('error', mensaje, extra),
+    hijo: extra => crearLogger({ nivel, formato, campos: { ...campos, ...extra }, escribir })
+  };
+}
+
+registrarSecreto(process.env.FIRMS_MAP_KEY);
+registrarSecreto(process.env.ADMIN_API_KEY);
+
+// Logger del proceso (LOG_NIVEL, LOG_FORMATO); los servicios lo comparten
+const log = crearLogger({ nivel: process.env.LOG_NIVEL || 'info', formato: process.env.LOG_FORMATO || 'json' });
+
+module.exports = {
+  ...log,
+  NIVELES,
+  crearLogger,
+  redactar,
+  registrarSecreto
+};
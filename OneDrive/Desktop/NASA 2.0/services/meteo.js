@@ -0,0 +1,305 @@
+// backend/services/meteo.js
+// Contexto meteorológico de incendios: proveedores intercambiables e índice de Fosberg
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { distanciaKm } = require('./incidentes');
+const geografia = require('./geografia');
+const log = require('./log');
+
+const HORA_MS = 60 * 60 * 1000;
+const CELDA_GRADOS = 0.25; // resolución aproximada de los modelos de Open-Meteo
+
+// Clases de peligro sobre el índice de Fosberg (0-100)
+const CLASES_PELIGRO = [
+  { min: 50, clase: 'extremo' },
+  { min: 30, clase: 'alto' },
+  { min: 15, clase: 'moderado' },
+  { min: 0, clase: 'bajo' }
+];
+
+/**
+ * Índice de Fosberg (FFWI): combina humedad de equilibrio del combustible
+ * fino y viento. Usa °C, % y km/h; devuelve 0-100 (más alto = más peligro).
+ */
+function indiceFosberg(temperatura, humedad, vientoKmh) {
+  const T = temperatura * 9 / 5 + 32;
+  const H = Math.min(100, Math.max(0, humedad));
+  const U = vientoKmh * 0.621371;
+
+  let m;
+  if (H < 10) m = 0.03229 + 0.281073 * H - 0.000578 * H * T;
+  else if (H <= 50) m = 2.22749 + 0.160107 * H - 0.01478 * T;
+  else m = 21.0606 + 0.005565 * H * H - 0.00035 * H * T - 0.483199 * H;
+
+  const r = m / 30;
+  const eta = 1 - 2 * r + 1.5 * r * r - 0.5 * r * r * r;
+  const ffwi = eta * Math.sqrt(1 + U * U) / 0.3002;
+  return Math.round(Math.min(100, Math.max(0, ffwi)));
+}
+
+function clasePeligro(indice) {
+  return CLASES_PELIGRO.find(c => indice >= c.min).clase;
+}
+
+// Completa una observación con el índice y su clase
+function conIndice(obs, fuente) {
+  const indiceIncendio = indiceFosberg(obs.temperatura, obs.humedad, obs.vientoVelocidad);
+  return {
+    temperatura: obs.temperatura,
+    humedad: obs.humedad,
+    vientoVelocidad: obs.vientoVelocidad,
+    vientoDireccion: obs.vientoDireccion,
+    hora: new Date(obs.hora).toISOString(),
+    indiceIncendio,
+    peligro: clasePeligro(indiceIncendio),
+    fuente
+  };
+}
+
+const celdaDe = ({ lat, lng }) => [
+  Math.round(lat / CELDA_GRADOS) * CELDA_GRADOS,
+  Math.round(lng / CELDA_GRADOS) * CELDA_GRADOS
+];
+
+/**
+ * Adaptador HTTP compatible con la API de pronóstico de Open-Meteo. Pide
+ * series horarias (con días pasados) por celda de 0.25° y las cachea `ttlMs`.
+ */
+function crearOpenMeteo({ url, timeoutMs, diasPasados, ttlMs = HORA_MS, loteMaximo = 50 }) {
+  const series = new Map();
+
+  async function descargar(celdas) {
+    const params = new URLSearchParams({
+      latitude: celdas.map(([lat]) => lat.toFixed(2)).join(','),
+      longitude: celdas.map(([, lng]) => lng.toFixed(2)).join(','),
+      hourly: 'temperature_2m,relative_humidity_2m,wind_speed_10m,wind_direction_10m',
+      past_days: String(diasPasados),
+      forecast_days: '1',
+      timeformat: 'unixtime',
+      wind_speed_unit: 'kmh'
+    });
+    const response = await fetch(`${url}?${params}`, { timeout: timeoutMs });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const json = await response.json();
+    // Una sola ubicación responde un objeto; varias, un arreglo
+    return Array.isArray(json) ? json : [json];
+  }
+
+  async function asegurarSeries(celdas) {
+    const ahora = Date.now();
+    const faltantes = celdas.filter(c => {
+      const serie = series.get(c.join(':'));
+      return !serie || serie.expira < ahora;
+    });
+
+    for (let i = 0; i < faltantes.length; i += loteMaximo) {
+      const lote = faltantes.slice(i, i + loteMaximo);
+      const respuestas = await descargar(lote);
+      lote.forEach((celda, j) => {
+        const h = respuestas[j] && respuestas[j].hourly;
+        if (!h) return;
+        series.set(celda.join(':'), { hourly: h, expira: ahora + ttlMs });
+      });
+    }
+  }
+
+  return {
+    nombre: 'open-meteo',
+    async consultar(puntos) {
+      const celdas = [...new Map(puntos.map(p => [celdaDe(p).join(':'), celdaDe(p)])).values()];
+      await asegurarSeries(celdas);
+
+      return puntos.map(p => {
+        const serie = series.get(celdaDe(p).join(':'));
+        if (!serie) return null;
+        const { time, temperature_2m, relative_humidity_2m, wind_speed_10m, wind_direction_10m } = serie.hourly;
+        const i = Math.round((p.timestamp / 1000 - time[0]) / 3600);
+        if (i < 0 || i >= time.length) return null;
+        const valores = {
+          temperatura: temperature_2m[i],
+          humedad: relative_humidity_2m[i],
+          vientoVelocidad: wind_speed_10m[i],
+          vientoDireccion: wind_direction_10m[i]
+        };
+        // Una hora con alguna variable faltante (null) no se usa: el índice
+        // la tomaría como 0 % de humedad o viento en calma
+        if (!Object.values(valores).every(Number.isFinite)) return null;
+        return { ...valores, hora: time[i] * 1000 };
+      });
+    }
+  };
+}
+
+/**
+ * Adaptador de archivo local para uso sin conexión: GeoJSON de puntos
+ * (estaciones) con propiedades `fecha` (ISO), `temperatura`, `humedad`,
+ * `vientoVelocidad` (km/h) y `vientoDireccion` (grados). Se relee si cambia.
+ */
+function crearArchivo({ ruta, maxKm = 50, maxHoras = 24 }) {
+  let cargado = { mtime: 0, observaciones: [] };
+
+  function observaciones() {
+    const { mtimeMs } = fs.statSync(ruta);
+    if (mtimeMs !== cargado.mtime) {
+      const geojson = JSON.parse(fs.readFileSync(ruta, 'utf8'));
+      cargado = {
+        mtime: mtimeMs,
+        observaciones: geojson.features
+          .filter(f => f.geometry && f.geometry.type === 'Point')
+          .map(f => ({
+            lng: f.geometry.coordinates[0],
+            lat: f.geometry.coordinates[1],
+            ...f.properties,
+            hora: Date.parse(f.properties.fecha)
+          }))
+          .filter(o => !isNaN(o.hora) && [o.temperatura, o.humedad, o.vientoVelocidad].every(Number.isFinite))
+      };
+      log.info('meteo: observaciones cargadas', { cantidad: cargado.observaciones.length, archivo: ruta });
+    }
+    return cargado.observaciones;
+  }
+
+  return {
+    nombre: 'archivo',
+    async consultar(puntos) {
+      const obs = observaciones();
+      return puntos.map(p => {
+        let mejor = null;
+        let mejorDif = Infinity;
+        obs.forEach(o => {
+          const dif = Math.abs(o.hora - p.timestamp);
+          if (dif > maxHoras * HORA_MS || dif >= mejorDif) return;
+          if (distanciaKm(p, o) > maxKm) return;
+          mejor = o;
+          mejorDif = dif;
+        });
+        return mejor;
+      });
+    }
+  };
+}
+
+const PROVEEDORES = {
+  'open-meteo': opciones => crearOpenMeteo(opciones),
+  archivo: opciones => crearArchivo({ ...opciones, ruta: opciones.archivo })
+};
+
+/**
+ * Crea el proveedor configurado o null si está desactivado (`ninguno`).
+ * Un proveedor expone `nombre` y `consultar(puntos)`, que recibe
+ * [{ lat, lng, timestamp }] y resuelve un arreglo alineado de observaciones
+ * `{ temperatura, humedad, vientoVelocidad, vientoDireccion, hora }` o null.
+ */
+function crearProveedor({ proveedor, ...opciones }) {
+  if (!proveedor || proveedor === 'ninguno') return null;
+  if (!PROVEEDORES[proveedor]) {
+    throw new Error(`METEO_PROVEEDOR "${proveedor}" no soportado (usa ${Object.keys(PROVEEDORES).join(', ')}, ninguno)`);
+  }
+  return PROVEEDORES[proveedor](opciones);
+}
+
+// Consulta agrupando por celda y hora: muchos focos comparten observación
+async function consultarAgrupado(proveedor, puntos) {
+  const grupos = new Map();
+  puntos.forEach((p, i) => {
+    const [lat, lng] = celdaDe(p);
+    const clave = `${lat}:${lng}:${Math.round(p.timestamp / HORA_MS)}`;
+    if (!grupos.has(clave)) grupos.set(clave, { punto: { lat: p.lat, lng: p.lng, timestamp: p.timestamp }, indices: [] });
+    grupos.get(clave).indices.push(i);
+  });
+
+  const lista = [...grupos.values()];
+  const observaciones = await proveedor.consultar(lista.map(g => g.punto));
+  const resultado = new Array(puntos.length).fill(null);
+  lista.forEach((g, j) => {
+    const obs = observaciones[j] ? conIndice(observaciones[j], proveedor.nombre) : null;
+    g.indices.forEach(i => { resultado[i] = obs; });
+  });
+  return resultado;
+}
+
+// Añade `meteo` a cada elemento con la observación de su punto. Si el
+// proveedor falla o no responde en `esperaMs`, los elementos quedan con
+// `meteo: null`; la consulta sigue en segundo plano y deja lista la cache
+// del proveedor para la próxima vez
+function anotar(elementos, proveedor, puntos, { esperaMs, que }) {
+  const sinMeteo = () => elementos.map(e => ({ ...e, meteo: null }));
+  const anotados = consultarAgrupado(proveedor, puntos)
+    .then(obs => elementos.map((e, i) => ({ ...e, meteo: obs[i] })))
+    .catch(err => {
+      log.error('error consultando meteo', { proveedor: proveedor.nombre, que, error: err });
+      return sinMeteo();
+    });
+  if (!esperaMs) return anotados;
+
+  let timer;
+  const vencido = new Promise(resolve => {
+    timer = setTimeout(() => {
+      log.warn('meteo sin respuesta a tiempo', { proveedor: proveedor.nombre, que, esperaMs });
+      resolve(sinMeteo());
+    }, esperaMs);
+  });
+  return Promise.race([anotados, vencido]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Añade `meteo` a cada detección. Si el proveedor falla (o tarda más de
+ * `esperaMs`) las detecciones quedan con `meteo: null`: el clima es
+ * contexto, no bloquea.
+ */
+async function anotarDetecciones(detecciones, proveedor, { esperaMs } = {}) {
+  if (!proveedor || !detecciones.length) return detecciones;
+  return anotar(detecciones, proveedor, detecciones, { esperaMs, que: 'detecciones' });
+}
+
+// Condiciones en el centroide del incidente a la hora de su última detección
+async function anotarIncidentes(incidentes, proveedor, { esperaMs } = {}) {
+  if (!proveedor || !incidentes.length) return incidentes;
+  const puntos = incidentes.map(inc => ({ ...inc.centroide, timestamp: inc.ultimaDeteccion }));
+  return anotar(incidentes, proveedor, puntos, { esperaMs, que: 'incidentes' });
+}
+
+// Hasta 3x3 puntos de muestreo dentro de cada polígono (el centro si ninguno cae dentro)
+function puntosDeMuestreo(feature) {
+  const [minLng, minLat, maxLng, maxLat] = geografia.calcularExtension(feature.geometry);
+  const puntos = [];
+  for (let i = 1; i <= 3; i++) {
+    for (let j = 1; j <= 3; j++) {
+      const lng = minLng + (maxLng - minLng) * i / 4;
+      const lat = minLat + (maxLat - minLat) * j / 4;
+      if (geografia.puntoEnGeometria(lng, lat, feature.geometry)) puntos.push({ lat, lng });
+    }
+  }
+  return puntos.length ? puntos : [{ lat: (minLat + maxLat) / 2, lng: (minLng + maxLng) / 2 }];
+}
+
+/**
+ * Peligro meteorológico actual por departamento: se muestrean varios puntos
+ * y se conserva el peor (mayor índice). Devuelve los límites como GeoJSON
+ * con `meteo` en las propiedades.
+ */
+async function peligroPorRegion(limites, proveedor) {
+  const ahora = Date.now();
+  const muestras = limites.features.map(f => puntosDeMuestreo(f));
+  const obs = await consultarAgrupado(proveedor, muestras.flat().map(p => ({ ...p, timestamp: ahora })));
+
+  let k = 0;
+  const features = limites.features.map((f, i) => {
+    const propias = obs.slice(k, k + muestras[i].length).filter(Boolean);
+    k += muestras[i].length;
+    const peor = propias.reduce((max, o) => (!max || o.indiceIncendio > max.indiceIncendio ? o : max), null);
+    return { ...f, properties: { ...f.properties, meteo: peor, muestras: muestras[i].length } };
+  });
+
+  return { type: 'FeatureCollection', actualizado: new Date(ahora).toISOString(), features };
+}
+
+module.exports = {
+  CLASES_PELIGRO,
+  indiceFosberg,
+  clasePeligro,
+  crearProveedor,
+  anotarDetecciones,
+  anotarIncidentes,
+  peligroPorRegion
+};
@@ -0,0 +1,155 @@
+// backend/services/metricas.js
+// Métricas operativas en formato de texto de Prometheus (/metrics)
+
+const BUCKETS_FIRMS_S = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const BUCKETS_HTTP_S = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escaparEtiqueta = valor => String(valor).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatearEtiquetas(etiquetas) {
+  const pares = Object.entries(etiquetas).map(([k, v]) => `${k}="${escaparEtiqueta(v)}"`);
+  return pares.length ? `{${pares.join(',')}}` : '';
+}
+
+// Serie por combinación de etiquetas (en el orden declarado)
+function claveSerie(nombres, etiquetas) {
+  return JSON.stringify(nombres.map(n => etiquetas[n] ?? ''));
+}
+
+function crearContador(nombre, ayuda, nombresEtiquetas = []) {
+  const series = new Map();
+  return {
+    inc(etiquetas = {}, valor = 1) {
+      const clave = claveSerie(nombresEtiquetas, etiquetas);
+      const serie = series.get(clave) || { etiquetas, valor: 0 };
+      serie.valor += valor;
+      series.set(clave, serie);
+    },
+    exponer() {
+      const lineas = [`# HELP ${nombre} ${ayuda}`, `# TYPE ${nombre} counter`];
+      series.forEach(({ etiquetas, valor }) => lineas.push(`${nombre}${formatearEtiquetas(etiquetas)} ${valor}`));
+      return lineas;
+    }
+  };
+}
+
+function crearHistograma(nombre, ayuda, nombresEtiquetas = [], buckets) {
+  const series = new Map();
+  return {
+    observar(etiquetas, valor) {
+      const clave = claveSerie(nombresEtiquetas, etiquetas);
+      let serie = series.get(clave);
+      if (!serie) {
+        serie = { etiquetas, cuentas: buckets.map(() => 0), suma: 0, total: 0 };
+        series.set(clave, serie);
+      }
+      buckets.forEach((limite, i) => {
+        if (valor <= limite) serie.cuentas[i]++;
+      });
+      serie.suma += valor;
+      serie.total++;
+    },
+    exponer() {
+      const lineas = [`# HELP ${nombre} ${ayuda}`, `# TYPE ${nombre} histogram`];
+      series.forEach(({ etiquetas, cuentas, suma, total }) => {
+        buckets.forEach((limite, i) => {
+          lineas.push(`${nombre}_bucket${formatearEtiquetas({ ...etiquetas, le: limite })} ${cuentas[i]}`);
+        });
+        lineas.push(`${nombre}_bucket${formatearEtiquetas({ ...etiquetas, le: '+Inf' })} ${total}`);
+        lineas.push(`${nombre}_sum${formatearEtiquetas(etiquetas)} ${suma}`);
+        lineas.push(`${nombre}_count${formatearEtiquetas(etiquetas)} ${total}`);
+      });
+      return lineas;
+    }
+  };
+}
+
+function crearGauge(nombre, ayuda, leer) {
+  return {
+    exponer: () => [`# HELP ${nombre} ${ayuda}`, `# TYPE ${nombre} gauge`, `${nombre} ${leer()}`]
+  };
+}
+
+/**
+ * Métricas de una app: FIRMS por fuente (latencia, estado y tipo de error),
+ * aciertos de cada cache, detecciones devueltas por región y fuente,
+ * rechazos por cuota y duración de las solicitudes HTTP por ruta.
+ */
+function crearMetricas() {
+  const firmsDuracion = crearHistograma(
+    'firms_upstream_duration_seconds',
+    'Duración de cada consulta a FIRMS por fuente, reintentos incluidos',
+    ['source', 'estado'],
+    BUCKETS_FIRMS_S
+  );
+  const firmsConsultas = crearContador(
+    'firms_upstream_requests_total',
+    'Consultas a FIRMS por fuente y estado (ok, vacia, error)',
+    ['source', 'estado']
+  );
+  const firmsErrores = crearContador(
+    'firms_upstream_errors_total',
+    'Consultas a FIRMS fallidas por fuente y tipo de error',
+    ['source', 'tipo']
+  );
+  const cacheConsultas = crearContador(
+    'cache_requests_total',
+    'Lecturas de cache por cache y resultado (hit, miss)',
+    ['cache', 'resultado']
+  );
+  const detecciones = crearContador(
+    'detecciones_devueltas_total',
+    'Detecciones devueltas por /api/eventos por región y fuente',
+    ['region', 'source']
+  );
+  const rechazos = crearContador(
+    'rate_limit_rechazos_total',
+    'Solicitudes rechazadas por cuota (429), con o sin clave de API',
+    ['cliente']
+  );
+  const http = crearHistograma(
+    'http_request_duration_seconds',
+    'Duración de las solicitudes HTTP por método, ruta y código',
+    ['metodo', 'ruta', 'codigo'],
+    BUCKETS_HTTP_S
+  );
+  const proceso = [
+    crearGauge('process_uptime_seconds', 'Segundos desde el inicio del proceso', () => Math.floor(process.uptime())),
+    crearGauge('process_resident_memory_bytes', 'Memoria residente del proceso', () => process.memoryUsage().rss),
+    crearGauge('nodejs_heap_used_bytes', 'Heap de V8 en uso', () => process.memoryUsage().heapUsed)
+  ];
+
+  return {
+    // Informes de firms.consultarFuentes (live o fixture)
+    registrarConsultaFirms(informes) {
+      informes.forEach(({ source, estado, duracionMs, tipoError }) => {
+        firmsConsultas.inc({ source, estado });
+        firmsDuracion.observar({ source, estado }, (duracionMs || 0) / 1000);
+        if (estado === 'error') firmsErrores.inc({ source, tipo: tipoError || 'desconocido' });
+      });
+    },
+    registrarCache(cache, acierto) {
+      cacheConsultas.inc({ cache, resultado: acierto ? 'hit' : 'miss' });
+    },
+    registrarDetecciones({ region, source }, cantidad) {
+      detecciones.inc({ region: region || 'bbox', source }, cantidad);
+    },
+    registrarRechazo(conClave) {
+      rechazos.inc({ cliente: conClave ? 'clave' : 'ip' });
+    },
+    registrarSolicitud({ metodo, ruta, codigo }, segundos) {
+      http.observar({ metodo, ruta, codigo }, segundos);
+    },
+    exponer() {
+      return [firmsDuracion, firmsConsultas, firmsErrores, cacheConsultas, detecciones, rechazos, http, ...proceso]
+        .flatMap(m => m.exponer())
+        .join('\n') + '\n';
+    }
+  };
+}
+
+module.exports = {
+  crearContador,
+  crearHistograma,
+  crearMetricas
+};
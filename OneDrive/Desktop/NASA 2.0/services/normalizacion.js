@@ -0,0 +1,73 @@
+// backend/services/normalizacion.js
+// Normalización por producto de las filas CSV de FIRMS (VIIRS vs MODIS)
+
+/**
+ * Escala numérica para la confianza categórica de VIIRS. Cada categoría
+ * toma el valor central del rango MODIS equivalente (FIRMS define para
+ * MODIS: baja 0-29, nominal 30-79, alta 80-100), así ambos productos
+ * comparten umbrales y colores.
+ */
+const ESCALA_CONFIANZA_VIIRS = {
+  l: { valor: 15, etiqueta: 'low', rangoModis: '0-29' },
+  n: { valor: 55, etiqueta: 'nominal', rangoModis: '30-79' },
+  h: { valor: 90, etiqueta: 'high', rangoModis: '80-100' }
+};
+
+// Columnas de brillo de cada producto y su equivalente en el esquema común
+const PRODUCTOS = {
+  VIIRS: {
+    brilloPrincipal: 'bright_ti4', // banda I-4 (3.74 µm)
+    brilloSecundario: 'bright_ti5' // banda I-5 (11.45 µm)
+  },
+  MODIS: {
+    brilloPrincipal: 'brightness', // banda 21/22 (3.96 µm)
+    brilloSecundario: 'bright_t31' // banda 31 (11.03 µm)
+  }
+};
+
+// Producto a partir de la clave de fuente o, si no se conoce, de las columnas
+function detectarProducto(row, source) {
+  if (source && source.startsWith('MODIS')) return 'MODIS';
+  if (source && source.startsWith('VIIRS')) return 'VIIRS';
+  return row.bright_ti4 !== undefined ? 'VIIRS' : 'MODIS';
+}
+
+/**
+ * Lleva una fila de parseCsv al esquema que espera mapFirmsRow:
+ * `bright_ti4`/`bright_ti5` con el brillo del producto y `confidence`
+ * numérico 0-100. Añade `producto`, `confianzaOriginal` y
+ * `camposDerivados` ({ campo: origen }) para indicar qué se tradujo.
+ */
+function normalizarFila(row, source) {
+  const producto = detectarProducto(row, source);
+  const esquema = PRODUCTOS[producto];
+  const camposDerivados = {};
+  const normalizada = { ...row, producto, confianzaOriginal: row.confidence };
+
+  if (esquema.brilloPrincipal !== 'bright_ti4') {
+    normalizada.bright_ti4 = row[esquema.brilloPrincipal] || '';
+    normalizada.bright_ti5 = row[esquema.brilloSecundario] || '';
+    camposDerivados.bright_ti4 = esquema.brilloPrincipal;
+    camposDerivados.bright_ti5 = esquema.brilloSecundario;
+  }
+
+  // VIIRS reporta l/n/h; MODIS ya es numérico 0-100
+  const confianza = String(row.confidence || '').trim().toLowerCase();
+  const escala = ESCALA_CONFIANZA_VIIRS[confianza];
+  if (escala) {
+    normalizada.confidence = escala.valor;
+    camposDerivados.confianza = `confidence '${confianza}' (${escala.etiqueta})`;
+  } else if (isNaN(parseFloat(confianza))) {
+    normalizada.confidence = 0;
+    camposDerivados.confianza = `confidence no reconocida '${row.confidence}'`;
+  }
+
+  normalizada.camposDerivados = camposDerivados;
+  return normalizada;
+}
+
+module.exports = {
+  ESCALA_CONFIANZA_VIIRS,
+  PRODUCTOS,
+  normalizarFila
+};
@@ -0,0 +1,106 @@
+// backend/services/programador.js
+// Consulta periódica a FIRMS en segundo plano para mantener el cache caliente
+const log = require('./log');
+
+/**
+ * Interpreta POLLER_OBJETIVOS: lista separada por comas de `region:source:days`.
+ * Las entradas con región desconocida se descartan con un aviso.
+ */
+function parsearObjetivos(texto, regionesValidas) {
+  return String(texto || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(entrada => {
+      const [region, source = 'VIIRS_SNPP_NRT', days = '1'] = entrada.split(':');
+      if (!regionesValidas.includes(region)) {
+        log.warn('programador: región desconocida ignorada', { region });
+        return null;
+      }
+      return { region, source, days: parseInt(days) || 1 };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Crea un programador que ejecuta `tarea(objetivo)` para cada objetivo cada
+ * `intervaloMs`. Las ejecuciones no se solapan: la siguiente se agenda al
+ * terminar la anterior.
+ */
+function crearProgramador({ intervaloMs, objetivos, tarea }) {
+  let timer = null;
+  let ejecutando = false;
+  let ultimaEjecucion = null;
+  let proximaEjecucion = null;
+
+  async function ejecutar() {
+    ejecutando = true;
+    const inicio = Date.now();
+    const resultados = [];
+
+    for (const objetivo of objetivos) {
+      const t0 = Date.now();
+      try {
+        const { focos, errores } = await tarea(objetivo);
+        resultados.push({
+          ...objetivo,
+          estado: errores.length ? 'parcial' : 'ok',
+          focos,
+          errores: errores.length ? errores : undefined,
+          duracionMs: Date.now() - t0
+        });
+      } catch (err) {
+        log.error('programador: error actualizando objetivo', { ...objetivo, error: err });
+        resultados.push({ ...objetivo, estado: 'error', error: err.message, duracionMs: Date.now() - t0 });
+      }
+    }
+
+    ultimaEjecucion = {
+      inicio: new Date(inicio).toISOString(),
+      fin: new Date().toISOString(),
+      duracionMs: Date.now() - inicio,
+      estado: resultados.every(r => r.estado === 'ok') ? 'ok'
+        : resultados.some(r => r.estado !== 'error') ? 'parcial' : 'error',
+      resultados
+    };
+    ejecutando = false;
+    log.info('programador: objetivos actualizados', { objetivos: resultados.length, duracionMs: ultimaEjecucion.duracionMs, estado: ultimaEjecucion.estado });
+    agendar();
+  }
+
+  function agendar() {
+    if (!timer) return;
+    proximaEjecucion = Date.now() + intervaloMs;
+    timer = setTimeout(ejecutar, intervaloMs);
+    timer.unref();
+  }
+
+  return {
+    iniciar() {
+      if (timer || !objetivos.length) return;
+      timer = setTimeout(ejecutar, 0);
+      timer.unref();
+      proximaEjecucion = Date.now();
+    },
+    detener() {
+      clearTimeout(timer);
+      timer = null;
+      proximaEjecucion = null;
+    },
+    estado() {
+      return {
+        activo: Boolean(timer),
+        ejecutando,
+        intervaloMin: intervaloMs / 60000,
+        objetivos,
+        ultimaEjecucion,
+        proximaEjecucion: proximaEjecucion ? new Date(proximaEjecucion).toISOString() : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  crearProgramador,
+  parsearObjetivos
+};
@@ -0,0 +1,120 @@
+// backend/services/propagacion.js
+// Dirección y velocidad de avance de un incidente entre pasadas sucesivas
+const { distanciaKm } = require('./incidentes');
+
+const KM_POR_GRADO = 111.32;
+const HORA_MS = 60 * 60 * 1000;
+
+// Detecciones separadas por menos de esto pertenecen a la misma pasada
+const SEPARACION_PASADA_MIN = parseFloat(process.env.PROPAGACION_PASADA_MIN) || 30;
+// Un foco de la última pasada a más de esta distancia de todo lo anterior es borde nuevo
+// (algo más que el píxel VIIRS de 375 m, para no confundir ruido de geolocalización con avance)
+const BORDE_MIN_KM = parseFloat(process.env.PROPAGACION_BORDE_KM) || 0.5;
+
+function dividirEnPasadas(detecciones) {
+  const ordenadas = [...detecciones].sort((a, b) => a.timestamp - b.timestamp);
+  const pasadas = [];
+  ordenadas.forEach((d, i) => {
+    if (i === 0 || d.timestamp - ordenadas[i - 1].timestamp > SEPARACION_PASADA_MIN * 60 * 1000) {
+      pasadas.push([]);
+    }
+    pasadas[pasadas.length - 1].push(d);
+  });
+  return pasadas;
+}
+
+// Centroide ponderado por FRP (peso mínimo 1 para focos sin FRP)
+function centroide(puntos) {
+  let sumaLat = 0;
+  let sumaLng = 0;
+  let sumaPeso = 0;
+  puntos.forEach(p => {
+    const peso = p.frp > 0 ? p.frp : 1;
+    sumaLat += p.lat * peso;
+    sumaLng += p.lng * peso;
+    sumaPeso += peso;
+  });
+  return { lat: Number((sumaLat / sumaPeso).toFixed(5)), lng: Number((sumaLng / sumaPeso).toFixed(5)) };
+}
+
+// Rumbo en grados (0 = norte, sentido horario) de un desplazamiento en km
+const rumbo = (esteKm, norteKm) => (Math.atan2(esteKm, norteKm) * 180 / Math.PI + 360) % 360;
+
+function mediana(valores) {
+  const orden = [...valores].sort((a, b) => a - b);
+  const medio = Math.floor(orden.length / 2);
+  return orden.length % 2 ? orden[medio] : (orden[medio - 1] + orden[medio]) / 2;
+}
+
+/**
+ * Compara la última pasada con todo lo detectado antes. Cada foco nuevo a más
+ * de BORDE_MIN_KM de cualquier foco anterior forma el borde activo; su
+ * desplazamiento desde el foco anterior más cercano da la dirección (media
+ * ponderada por FRP) y la velocidad (mediana, en m/h). Usa solo `timestamp`,
+ * `lat`, `lng` y `frp`. Devuelve null con menos de dos pasadas.
+ */
+function estimarPropagacion(detecciones) {
+  const pasadas = dividirEnPasadas(detecciones);
+  if (pasadas.length < 2) return null;
+
+  const ultima = pasadas[pasadas.length - 1];
+  const anteriores = pasadas.slice(0, -1).flat();
+  const penultima = pasadas[pasadas.length - 2];
+  const intervaloHoras = Number(((ultima[0].timestamp - penultima[penultima.length - 1].timestamp) / HORA_MS).toFixed(2));
+
+  const avances = [];
+  ultima.forEach(d => {
+    let cercano = null;
+    let minKm = Infinity;
+    anteriores.forEach(a => {
+      const km = distanciaKm(d, a);
+      if (km < minKm) {
+        minKm = km;
+        cercano = a;
+      }
+    });
+    if (minKm > BORDE_MIN_KM) avances.push({ d, desde: cercano, km: minKm });
+  });
+
+  const base = { pasadas: pasadas.length, intervaloHoras, focosUltimaPasada: ultima.length };
+  if (!avances.length) {
+    return { ...base, estado: 'estable', direccionGrados: null, velocidadMh: 0, bordeActivo: [] };
+  }
+
+  let este = 0;
+  let norte = 0;
+  avances.forEach(({ d, desde }) => {
+    const peso = d.frp > 0 ? d.frp : 1;
+    este += (d.lng - desde.lng) * KM_POR_GRADO * Math.cos(d.lat * Math.PI / 180) * peso;
+    norte += (d.lat - desde.lat) * KM_POR_GRADO * peso;
+  });
+
+  const velocidades = avances.map(({ d, desde, km }) => km * 1000 / ((d.timestamp - desde.timestamp) / HORA_MS));
+
+  return {
+    ...base,
+    estado: 'avanzando',
+    direccionGrados: Math.round(rumbo(este, norte)),
+    velocidadMh: Math.round(mediana(velocidades)),
+    desde: centroide(avances.map(a => a.desde)),
+    hacia: centroide(avances.map(a => a.d)),
+    bordeActivo: avances.map(({ d }) => ({ lat: d.lat, lng: d.lng, frp: d.frp || 0, timestamp: d.timestamp }))
+  };
+}
+
+// Añade `propagacion` a cada incidente a partir de sus detecciones (`incidenteId`)
+function anotarIncidentes(incidentes, detecciones) {
+  const porIncidente = new Map();
+  detecciones.forEach(d => {
+    if (!porIncidente.has(d.incidenteId)) porIncidente.set(d.incidenteId, []);
+    porIncidente.get(d.incidenteId).push(d);
+  });
+  return incidentes.map(inc => ({ ...inc, propagacion: estimarPropagacion(porIncidente.get(inc.id) || []) }));
+}
+
+module.exports = {
+  SEPARACION_PASADA_MIN,
+  BORDE_MIN_KM,
+  estimarPropagacion,
+  anotarIncidentes
+};
@@ -0,0 +1,155 @@
+// backend/services/riesgo.js
+// Modelos de riesgo y categoría configurables (data/modelos-riesgo.json)
+const fs = require('fs');
+const path = require('path');
+const { SEVERIDADES } = require('./consulta');
+const i18n = require('./i18n');
+const log = require('./log');
+
+const RUTA_MODELOS = process.env.MODELOS_RIESGO || path.join(__dirname, '..', 'data', 'modelos-riesgo.json');
+
+// Campos numéricos de una detección que pueden usar las reglas
+const CAMPOS = {
+  confianza: d => d.confianza || 0,
+  bright_ti4: d => d.bright_ti4 || 0,
+  bright_ti5: d => d.bright_ti5 || 0,
+  frp: d => d.frp || 0,
+  scan: d => d.scan || 0,
+  track: d => d.track || 0,
+  pixelArea: d => (d.scan || 0) * (d.track || 0),
+  nocturno: d => (d.daynight === 'N' ? 1 : 0),
+  // Contexto meteorológico (services/meteo.js); null si no hay datos
+  indiceIncendio: d => (d.meteo ? d.meteo.indiceIncendio : null),
+  humedadRelativa: d => (d.meteo ? d.meteo.humedad : null),
+  vientoVelocidad: d => (d.meteo ? d.meteo.vientoVelocidad : null),
+  temperaturaAire: d => (d.meteo ? d.meteo.temperatura : null)
+};
+
+const OPERADORES = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b
+};
+
+function validarCondicion(condicion, donde) {
+  if (!CAMPOS[condicion.campo]) {
+    throw new Error(`${donde}: campo "${condicion.campo}" no soportado (usa ${Object.keys(CAMPOS).join(', ')})`);
+  }
+  if (!OPERADORES[condicion.operador]) {
+    throw new Error(`${donde}: operador "${condicion.operador}" no soportado`);
+  }
+  if (typeof condicion.umbral !== 'number') {
+    throw new Error(`${donde}: "umbral" debe ser numérico`);
+  }
+}
+
+// Un archivo mal escrito debe impedir el arranque, no puntuar a medias
+function validarModelo(id, modelo) {
+  if (!modelo.version) throw new Error(`Modelo "${id}": falta "version"`);
+  (modelo.reglas || []).forEach((regla, i) => {
+    validarCondicion(regla, `Modelo "${id}", regla ${regla.id || i}`);
+    if (!regla.id) throw new Error(`Modelo "${id}", regla ${i}: falta "id"`);
+    if (typeof regla.puntos !== 'number') throw new Error(`Modelo "${id}", regla ${regla.id}: "puntos" debe ser numérico`);
+  });
+  [...(modelo.categorias || []), modelo.categoriaPorDefecto].forEach((cat, i) => {
+    if (!cat || !i18n.traducir(cat.categoria, 'es') || !SEVERIDADES.includes(cat.severidad)) {
+      throw new Error(`Modelo "${id}", categoría ${i}: requiere "categoria" y una severidad válida (${SEVERIDADES.join(', ')})`);
+    }
+  });
+  (modelo.categorias || []).forEach((cat, i) => validarCondicion(cat, `Modelo "${id}", categoría ${i}`));
+  (modelo.modificadores || []).forEach((mod, i) => validarCondicion(mod, `Modelo "${id}", modificador ${i}`));
+}
+
+function cargarModelos(ruta) {
+  const config = JSON.parse(fs.readFileSync(ruta, 'utf8'));
+  if (!config.modelos || !Object.hasOwn(config.modelos, config.predeterminado)) {
+    throw new Error(`${ruta}: "predeterminado" debe nombrar uno de los modelos definidos`);
+  }
+  Object.entries(config.modelos).forEach(([id, modelo]) => validarModelo(id, modelo));
+  log.info('modelos de riesgo cargados', { version: config.version, modelos: Object.keys(config.modelos) });
+  return config;
+}
+
+const config = cargarModelos(RUTA_MODELOS);
+
+// Un campo sin dato (p. ej. sin meteorología) nunca cumple la condición
+function cumple(d, { campo, operador, umbral }) {
+  const valor = CAMPOS[campo](d);
+  return valor !== null && valor !== undefined && OPERADORES[operador](valor, umbral);
+}
+
+// Solo modelos propios del archivo: `constructor` o `toString` no son modelos
+function obtenerModelo(id) {
+  const clave = id || config.predeterminado;
+  if (typeof clave !== 'string' || !Object.hasOwn(config.modelos, clave)) return null;
+  return { id: clave, ...config.modelos[clave] };
+}
+
+// Nombre y descripción en `lang`; reglas y categorías tal como están en el archivo
+function listarModelos(lang = i18n.IDIOMA_PREDETERMINADO) {
+  return {
+    version: config.version,
+    predeterminado: config.predeterminado,
+    modelos: Object.entries(config.modelos).map(([id, modelo]) => ({
+      id,
+      ...modelo,
+      nombre: i18n.traducir(modelo.nombre, lang) || id,
+      descripcion: i18n.traducir(modelo.descripcion, lang)
+    }))
+  };
+}
+
+/**
+ * Nivel de riesgo = confianza + puntos de cada regla cumplida, acotado a 0-100.
+ * `desglose` lista cada aporte (incluido el recorte) y suma exactamente el nivel.
+ */
+function evaluarRiesgo(d, modelo, lang = i18n.IDIOMA_PREDETERMINADO) {
+  const base = CAMPOS.confianza(d);
+  const desglose = [{ regla: 'confianza', descripcion: i18n.t(lang, 'riesgo.base'), puntos: base }];
+  let total = base;
+
+  (modelo.reglas || []).forEach(regla => {
+    if (!cumple(d, regla)) return;
+    total += regla.puntos;
+    desglose.push({ regla: regla.id, descripcion: i18n.traducir(regla.descripcion, lang) || regla.id, puntos: regla.puntos });
+  });
+
+  const nivelRiesgo = Math.min(100, Math.max(0, total));
+  if (nivelRiesgo !== total) {
+    desglose.push({ regla: 'limite', descripcion: i18n.t(lang, 'riesgo.limite'), puntos: nivelRiesgo - total });
+  }
+  return { nivelRiesgo, desglose };
+}
+
+// Primera categoría cuya condición se cumple (el orden del archivo manda)
+function categorizar(d, modelo, lang = i18n.IDIOMA_PREDETERMINADO) {
+  const elegida = (modelo.categorias || []).find(cat => cumple(d, cat)) || modelo.categoriaPorDefecto;
+  const sufijos = (modelo.modificadores || []).filter(mod => cumple(d, mod))
+    .map(mod => i18n.traducir(mod.sufijo, lang)).join('');
+  return { categoria: i18n.traducir(elegida.categoria, lang) + sufijos, severidad: elegida.severidad };
+}
+
+// Devuelve una copia de la detección puntuada con `modelo` y textos en `lang`
+function aplicarModelo(d, modelo = obtenerModelo(), lang = i18n.IDIOMA_PREDETERMINADO) {
+  const { nivelRiesgo, desglose } = evaluarRiesgo(d, modelo, lang);
+  const { categoria, severidad } = categorizar(d, modelo, lang);
+  return {
+    ...d,
+    nivelRiesgo,
+    desgloseRiesgo: desglose,
+    modeloRiesgo: `${modelo.id}@${modelo.version}`,
+    categoria,
+    severidad,
+    descripcion: `${categoria} - ${d.instrument || 'FIRMS'}`
+  };
+}
+
+module.exports = {
+  CAMPOS,
+  obtenerModelo,
+  listarModelos,
+  evaluarRiesgo,
+  categorizar,
+  aplicarModelo
+};
@@ -0,0 +1,98 @@
+// backend/services/series.js
+// Series temporales ordenadas (por día u hora local) con medias móviles
+const tiempo = require('./tiempo');
+
+const HORA_MS = 60 * 60 * 1000;
+const INTERVALOS = { dia: 1, hora: 24 }; // intervalos por día
+// Tope de intervalos por respuesta (~3 años por día, ~1 mes por hora)
+const MAX_INTERVALOS = { dia: 1100, hora: 24 * 31 };
+const CONFIANZA_ALTA = 70; // mismo corte que el nivel "high" de CONFIDENCE_LEVELS
+
+const confianzaDe = d => d.confianzaCombinada ?? d.confianza ?? 0;
+
+/**
+ * Intervalos vacíos entre `desdeTs` (medianoche local) y `hastaTs` (exclusivo).
+ * Por día se usa la medianoche local de cada fecha, así un cambio de horario
+ * no desplaza los límites.
+ */
+function crearIntervalos(intervalo, desdeTs, hastaTs, tz) {
+  const intervalos = [];
+  if (intervalo === 'hora') {
+    for (let inicio = desdeTs; inicio < hastaTs; inicio += HORA_MS) {
+      intervalos.push({ inicio, fecha: tiempo.fechaISO(inicio, tz), hora: tiempo.horaLocal(inicio, tz) });
+    }
+    return intervalos;
+  }
+  const primera = tiempo.fechaISO(desdeTs, tz);
+  for (let i = 0, inicio = desdeTs; inicio < hastaTs; i++) {
+    intervalos.push({ inicio, fecha: tiempo.fechaISO(inicio, tz) });
+    inicio = tiempo.inicioDelDia(primera, tz, i + 1);
+  }
+  return intervalos;
+}
+
+// Media de los últimos `ventana` valores; null hasta tener la ventana completa
+function mediaMovil(valores, ventana) {
+  let suma = 0;
+  return valores.map((v, i) => {
+    suma += v;
+    if (i >= ventana) suma -= valores[i - ventana];
+    return i >= ventana - 1 ? Number((suma / ventana).toFixed(2)) : null;
+  });
+}
+
+/**
+ * Serie de detecciones por intervalo con conteo, FRP total/medio, focos de
+ * alta confianza (>= 70%) y medias móviles de 3 y 7 días del conteo.
+ */
+function construirSerie(datos, { intervalo, desdeTs, hastaTs, tz }) {
+  const intervalos = crearIntervalos(intervalo, desdeTs, hastaTs, tz).map(iv => ({
+    ...iv,
+    detecciones: 0,
+    frpTotal: 0,
+    frpPromedio: 0,
+    altaConfianza: 0
+  }));
+  const porFecha = new Map(intervalos.map((iv, i) => [iv.fecha, i]));
+
+  datos.forEach(d => {
+    const i = intervalo === 'hora'
+      ? Math.floor((d.timestamp - desdeTs) / HORA_MS)
+      : porFecha.get(tiempo.fechaISO(d.timestamp, tz));
+    const iv = intervalos[i];
+    if (!iv) return;
+    iv.detecciones++;
+    iv.frpTotal += d.frp || 0;
+    if (confianzaDe(d) >= CONFIANZA_ALTA) iv.altaConfianza++;
+  });
+
+  const conteos = intervalos.map(iv => iv.detecciones);
+  const media3 = mediaMovil(conteos, 3 * INTERVALOS[intervalo]);
+  const media7 = mediaMovil(conteos, 7 * INTERVALOS[intervalo]);
+
+  return intervalos.map((iv, i) => ({
+    ...iv,
+    frpTotal: Number(iv.frpTotal.toFixed(1)),
+    frpPromedio: iv.detecciones ? Number((iv.frpTotal / iv.detecciones).toFixed(1)) : 0,
+    mediaMovil3d: media3[i],
+    mediaMovil7d: media7[i]
+  }));
+}
+
+function resumirSerie(serie) {
+  const total = serie.reduce((suma, iv) => suma + iv.detecciones, 0);
+  const pico = serie.reduce((max, iv) => (!max || iv.detecciones > max.detecciones ? iv : max), null);
+  return {
+    detecciones: total,
+    frpTotal: Number(serie.reduce((suma, iv) => suma + iv.frpTotal, 0).toFixed(1)),
+    altaConfianza: serie.reduce((suma, iv) => suma + iv.altaConfianza, 0),
+    pico: pico && pico.detecciones ? { fecha: pico.fecha, hora: pico.hora, detecciones: pico.detecciones } : null
+  };
+}
+
+module.exports = {
+  INTERVALOS,
+  MAX_INTERVALOS,
+  construirSerie,
+  resumirSerie
+};
@@ -0,0 +1,105 @@
+// backend/services/tiempo.js
+// Horas locales con zonas IANA (Intl) en lugar de un desfase fijo
+const FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Nombre canónico de una zona IANA (Intl acepta `america/la_paz`), o null si no existe
+function zonaCanonica(tz) {
+  if (typeof tz !== 'string') return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: tz }).resolvedOptions().timeZone;
+  } catch (e) {
+    return null;
+  }
+}
+
+const esZonaValida = tz => zonaCanonica(tz) !== null;
+
+const ZONA_PREDETERMINADA = zonaCanonica(process.env.ZONA_HORARIA || 'America/La_Paz');
+if (!ZONA_PREDETERMINADA) {
+  throw new Error(`ZONA_HORARIA "${process.env.ZONA_HORARIA}" no es una zona IANA válida (p. ej. America/La_Paz)`);
+}
+
+// Crear un Intl.DateTimeFormat es caro: se reutiliza por zona/locale. Solo se
+// guardan zonas canónicas, así las variantes de mayúsculas no llenan el cache
+const formateadores = new Map();
+function formateador(locale, tz, opciones) {
+  const clave = `${locale}|${tz}|${JSON.stringify(opciones)}`;
+  let formato = formateadores.get(clave);
+  if (!formato) {
+    formato = new Intl.DateTimeFormat(locale, { timeZone: tz, ...opciones });
+    if (formato.resolvedOptions().timeZone === tz) formateadores.set(clave, formato);
+  }
+  return formato;
+}
+
+// Fecha y hora de reloj de pared en `tz` para un instante UTC
+function partesLocales(ts, tz) {
+  const partes = {};
+  formateador('en-US', tz, {
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric', hourCycle: 'h23'
+  }).formatToParts(new Date(ts)).forEach(({ type, value }) => {
+    if (type !== 'literal') partes[type] = Number(value);
+  });
+  return partes;
+}
+
+// Diferencia (ms) entre la hora local en `tz` y UTC en ese instante
+function desfaseMs(ts, tz) {
+  const p = partesLocales(ts, tz);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ts / 1000) * 1000;
+}
+
+// Instante UTC de una hora local (dos pasadas para cruzar cambios de horario).
+// Si la hora no existe (p. ej. medianoche en Chile al adelantar el reloj) se
+// usa el primer instante posterior al salto
+function localAUtc(localMs, tz) {
+  const aprox = localMs - desfaseMs(localMs, tz);
+  const utc = localMs - desfaseMs(aprox, tz);
+  return utc + desfaseMs(utc, tz) === localMs ? utc : aprox;
+}
+
+/**
+ * Instante UTC de la medianoche local de 'YYYY-MM-DD' en `tz`.
+ * Con `diasExtra` se desplaza la fecha (p. ej. 1 para el fin exclusivo del día).
+ */
+function inicioDelDia(fecha, tz = ZONA_PREDETERMINADA, diasExtra = 0) {
+  if (!FECHA_REGEX.test(fecha || '')) return null;
+  const [year, month, day] = fecha.split('-').map(Number);
+  const local = Date.UTC(year, month - 1, day + diasExtra);
+  return isNaN(local) ? null : localAUtc(local, tz);
+}
+
+// 'YYYY-MM-DD' local en `tz` (ordenable, a diferencia de `fechaLocal`)
+function fechaISO(ts, tz = ZONA_PREDETERMINADA) {
+  const p = partesLocales(ts, tz);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function fechaDeHoy(tz = ZONA_PREDETERMINADA) {
+  return fechaISO(Date.now(), tz);
+}
+
+function horaLocal(ts, tz = ZONA_PREDETERMINADA) {
+  return partesLocales(ts, tz).hour;
+}
+
+// `fechaLocal` y `horaLocal` de una detección con el formato del idioma
+function formatearLocal(ts, tz, locale) {
+  const fecha = new Date(ts);
+  return {
+    fechaLocal: formateador(locale, tz, { year: 'numeric', month: 'numeric', day: 'numeric' }).format(fecha),
+    horaLocal: formateador(locale, tz, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(fecha)
+  };
+}
+
+module.exports = {
+  ZONA_PREDETERMINADA,
+  zonaCanonica,
+  esZonaValida,
+  inicioDelDia,
+  fechaISO,
+  fechaDeHoy,
+  horaLocal,
+  formatearLocal
+};
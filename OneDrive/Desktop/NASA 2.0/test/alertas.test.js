@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_NIVEL = 'silencio';
+
+const { validarSuscripcion } = require('../services/alertas');
+
+const webhookUrl = 'https://example.com/hook';
+const cuadrado = [[-63, -18], [-62, -18], [-62, -17], [-63, -17], [-63, -18]];
+
+test('validarSuscripcion acepta Polygon, MultiPolygon y Feature válidos', () => {
+  const { suscripcion } = validarSuscripcion({ webhookUrl, poligono: { type: 'Polygon', coordinates: [cuadrado] } });
+  assert.deepEqual(suscripcion.area.extension, [-63, -18, -62, -17]);
+
+  assert.ok(validarSuscripcion({ webhookUrl, poligono: { type: 'MultiPolygon', coordinates: [[cuadrado]] } }).suscripcion);
+  assert.ok(validarSuscripcion({
+    webhookUrl,
+    poligono: { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [cuadrado] } }
+  }).suscripcion);
+});
+
+test('validarSuscripcion rechaza polígonos mal formados en lugar de fallar', () => {
+  const invalidos = [
+    { type: 'Polygon', coordinates: [['a', 'b']] },
+    { type: 'Polygon', coordinates: [] },
+    { type: 'Polygon', coordinates: [cuadrado.slice(0, 3)] },
+    { type: 'Polygon', coordinates: [cuadrado.slice(0, 4)] },
+    { type: 'Polygon', coordinates: [[[-63, -18], [-62, 'x'], [-62, -17], [-63, -18]]] },
+    { type: 'Polygon', coordinates: [[[-63, -18], [-62, -95], [-62, -17], [-63, -18]]] },
+    { type: 'Polygon', coordinates: [[[-190, -18], [-62, -18], [-62, -17], [-190, -18]]] },
+    { type: 'MultiPolygon', coordinates: [cuadrado] },
+    { type: 'Feature', geometry: null },
+    'Polygon'
+  ];
+  invalidos.forEach(poligono => {
+    assert.match(validarSuscripcion({ webhookUrl, poligono }).error, /poligono/, JSON.stringify(poligono));
+  });
+});
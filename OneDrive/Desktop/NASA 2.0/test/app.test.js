@@ -0,0 +1,458 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Sin los logs de la app: el archivado en segundo plano sigue escribiendo
+// después de la última prueba y ensucia la salida del runner
+process.env.LOG_NIVEL = 'silencio';
+
+const express = require('express');
+const fetch = require('node-fetch');
+const biblioteca = require('..');
+const { crearClienteFirms } = biblioteca;
+
+// Bases en memoria salvo que la prueba indique otras: dos apps del mismo
+// proceso no pueden abrir los mismos archivos NeDB
+const EN_MEMORIA = { HISTORICO: null, ALERTAS: null, ALERTAS_NOTIFICADAS: null, CLAVES_API: null };
+// /metrics pide la clave admin
+const ADMIN = 'clave-admin-de-prueba';
+const COMO_ADMIN = { 'X-API-Key': ADMIN };
+const createApp = (opciones = {}) => biblioteca.createApp({ ...opciones, config: { BASES: EN_MEMORIA, CLAVES: { ADMIN }, ...opciones.config } });
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'data', 'fixtures', 'firms');
+
+function fixture() {
+  return crearClienteFirms({ modo: 'fixture', fixture: { directorio: FIXTURE_DIR } });
+}
+
+// Cliente falso: todas las fuentes fallan como sin conexión
+const sinRed = {
+  modo: 'live',
+  async consultarFuentes(sources) {
+    return sources.map(source => ({ source, estado: 'error', texto: null, error: 'sin red', tipoError: 'red', intentos: 1, duracionMs: 0 }));
+  },
+  estado: () => ({ modo: 'live' })
+};
+
+// Levanta `app` en un puerto libre y devuelve get(ruta, cabeceras) → { status, body }
+// (`body` es texto si la respuesta no es JSON)
+async function servir(t, app) {
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return async (ruta, cabeceras) => {
+    const response = await fetch(base + ruta, { headers: cabeceras });
+    const json = /json/.test(response.headers.get('content-type'));
+    return { status: response.status, body: json ? await response.json() : await response.text() };
+  };
+}
+
+test('el módulo público expone la app y las funciones de parseo, riesgo y estadísticas', () => {
+  assert.equal(biblioteca.parseCsv, require('../services/firmsCsv').parseCsv);
+  assert.equal(biblioteca.mapFirmsRow, require('../services/firmsCsv').mapFirmsRow);
+  assert.equal(biblioteca.aplicarModelo, require('../services/riesgo').aplicarModelo);
+  assert.equal(biblioteca.obtenerEstadisticas, require('../services/estadisticas').obtenerEstadisticas);
+  assert.equal(typeof biblioteca.createApp, 'function');
+});
+
+test('createApp sirve /api/eventos con el cliente FIRMS inyectado', async t => {
+  const get = await servir(t, createApp({ clienteFirms: fixture(), proveedorMeteo: null }));
+
+  const { status, body } = await get('/api/eventos?tipo=incendios&days=1&source=VIIRS_SNPP_NRT&region=santaCruz');
+  assert.equal(status, 200);
+  assert.equal(body.total, 15);
+  assert.equal(body.fuentes[0].estado, 'ok');
+  assert.ok(body.datos.every(d => d.departamento === 'Santa Cruz' && d.fechaUTC === '2024-09-12'));
+
+  const health = await get('/api/health');
+  assert.equal(health.body.firms.modo, 'fixture');
+});
+
+test('createApp combina secciones parciales de config', async t => {
+  const app = createApp({ clienteFirms: fixture(), proveedorMeteo: null, config: { MAX_DAYS: 2, FUSION: { ACTIVA: false } } });
+  assert.equal(app.locals.config.MAX_DAYS, 2);
+  assert.equal(app.locals.config.FUSION.ACTIVA, false);
+  assert.equal(app.locals.config.FUSION.DISTANCIA_KM, 1);
+
+  const get = await servir(t, app);
+  const { body } = await get('/api/eventos?tipo=incendios&days=10&source=VIIRS_SNPP_NRT');
+  assert.ok(body.datos.every(d => d.fechaUTC >= '2024-09-11'));
+});
+
+test('FIRMS_REINTENTOS no numérico usa el valor predeterminado', () => {
+  assert.equal(biblioteca.crearConfig({ FIRMS_REINTENTOS: 'abc' }).FIRMS.REINTENTOS, 2);
+  assert.equal(biblioteca.crearConfig({ FIRMS_REINTENTOS: '-1' }).FIRMS.REINTENTOS, 2);
+  assert.equal(biblioteca.crearConfig({ FIRMS_REINTENTOS: '0' }).FIRMS.REINTENTOS, 0);
+  assert.equal(biblioteca.crearConfig({}).FIRMS.REINTENTOS, 2);
+});
+
+test('en modo fixture no se consulta Open-Meteo salvo que se pida un proveedor', () => {
+  assert.equal(createApp({ clienteFirms: fixture() }).locals.proveedorMeteo, null);
+  const archivo = createApp({ clienteFirms: fixture(), config: { METEO: { PROVEEDOR: 'archivo' } } });
+  assert.equal(archivo.locals.proveedorMeteo.nombre, 'archivo');
+  assert.equal(createApp({ config: { FIRMS: { MAP_KEY: 'x' } } }).locals.proveedorMeteo.nombre, 'open-meteo');
+});
+
+test('/api/meteo/regiones rechaza regiones desconocidas antes de tocar el cache', async t => {
+  const proveedorMeteo = { nombre: 'prueba', consultar: async puntos => puntos.map(() => null) };
+  const app = createApp({ clienteFirms: fixture(), proveedorMeteo });
+  const get = await servir(t, app);
+
+  for (const region of ['basura-1', 'constructor', 'custom']) {
+    const { status, body } = await get(`/api/meteo/regiones?region=${region}`);
+    assert.equal(status, 400, region);
+    assert.ok(body.regionesValidas.includes('santaCruz'));
+  }
+  assert.equal((await get('/api/meteo/regiones?region=a&region=b')).status, 400);
+  assert.equal(app.locals.cache.keys().length, 0);
+
+  const { status, body } = await get('/api/meteo/regiones?region=santaCruz');
+  assert.equal(status, 200);
+  assert.equal(body.features.length, 1);
+  assert.deepEqual(app.locals.cache.keys(), ['meteo-regiones-santaCruz']);
+});
+
+test('sin MAP_KEY en modo live responde 500 con el mensaje de configuración', async t => {
+  const get = await servir(t, createApp({ config: { FIRMS: { MAP_KEY: '' } }, proveedorMeteo: null }));
+  const { status, body } = await get('/api/eventos?tipo=incendios&lang=en');
+  assert.equal(status, 500);
+  assert.equal(body.error, 'API key not configured');
+});
+
+test('si todas las fuentes fallan la respuesta es parcial y sin datos', async t => {
+  const get = await servir(t, createApp({ clienteFirms: sinRed, config: { FIRMS: { MAP_KEY: 'x' } }, proveedorMeteo: null }));
+  const { status, body } = await get('/api/eventos?tipo=incendios&source=ALL');
+  assert.equal(status, 200);
+  assert.equal(body.total, 0);
+  assert.equal(body.parcial, true);
+  assert.equal(body.fuentes.length, 4);
+});
+
+test('un format repetido o desconocido responde 400', async t => {
+  const get = await servir(t, createApp({ clienteFirms: fixture(), proveedorMeteo: null }));
+  for (const query of ['format=csv&format=json', 'format=toString', 'format=xml']) {
+    const { status, body } = await get(`/api/eventos?tipo=incendios&source=VIIRS_SNPP_NRT&${query}`);
+    assert.equal(status, 400);
+    assert.ok(body.formatosValidos.includes('csv'));
+  }
+});
+
+test('importar el módulo no abre bases; cada app abre las de su config', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firms-test-'));
+  const bases = ['historico', 'alertas', 'alertas-notificadas', 'claves-api'].map(nombre => path.join(dir, `${nombre}.db`));
+  const [HISTORICO_DB, ALERTAS_DB, ALERTAS_NOTIFICADAS_DB, CLAVES_API_DB] = bases;
+  execFileSync(process.execPath, ['-e', "require('./index.js')"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, HISTORICO_DB, ALERTAS_DB, ALERTAS_NOTIFICADAS_DB, CLAVES_API_DB }
+  });
+  assert.deepEqual(fs.readdirSync(dir), []);
+
+  const app = createApp({
+    clienteFirms: fixture(),
+    proveedorMeteo: null,
+    config: { BASES: { HISTORICO: HISTORICO_DB, ALERTAS: ALERTAS_DB, ALERTAS_NOTIFICADAS: ALERTAS_NOTIFICADAS_DB, CLAVES_API: CLAVES_API_DB } }
+  });
+  await app.locals.historico.contarHistorico();
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['alertas-notificadas.db', 'alertas.db', 'claves-api.db', 'historico.db']);
+});
+
+test('cada app tiene sus propias claves, alertas e histórico', async () => {
+  const a = createApp({ clienteFirms: fixture(), proveedorMeteo: null });
+  const b = createApp({ clienteFirms: fixture(), proveedorMeteo: null });
+
+  const { clave } = await a.locals.clavesApi.crearClave({ nombre: 'Solo A', rol: 'socio' });
+  assert.ok(await a.locals.clavesApi.buscarPorClave(clave));
+  assert.equal(await b.locals.clavesApi.buscarPorClave(clave), null);
+
+  await a.locals.historico.guardarDetecciones([{ sourceKey: 'MODIS_NRT', fechaUTC: '2024-09-12', horaUTC: '14:00', lat: -17, lng: -62 }]);
+  assert.equal(await a.locals.historico.contarHistorico(), 1);
+  assert.equal(await b.locals.historico.contarHistorico(), 0);
+});
+
+test('un bbox mal formado responde 400 sin consultar FIRMS y uno válido se normaliza en el cache', async t => {
+  const cliente = fixture();
+  const consultas = [];
+  const espia = { ...cliente, consultarFuentes: (sources, opciones) => {
+    consultas.push(opciones.bbox);
+    return cliente.consultarFuentes(sources, opciones);
+  } };
+  const app = createApp({ clienteFirms: espia, proveedorMeteo: null });
+  const get = await servir(t, app);
+
+  const malos = ['bbox=a&bbox=b', 'bbox=a,b,c,d', 'bbox=1,2,3', 'bbox=-59,-15,-63,-19', 'bbox=-63,-19,Infinity,-15', 'bbox='];
+  for (const ruta of ['/api/eventos?tipo=incendios', '/api/estadisticas?', '/api/incidentes?', '/api/propagacion?', '/api/densidad?', '/api/huellas?']) {
+    for (const bbox of malos) {
+      const { status, body } = await get(`${ruta}&${bbox}`);
+      assert.equal(status, 400, `${ruta}&${bbox}`);
+      assert.equal(body.error, 'bbox inválido');
+    }
+  }
+  assert.deepEqual(consultas, []);
+
+  await get('/api/eventos?tipo=incendios&bbox=-63,-19,-59,-15');
+  await get('/api/eventos?tipo=incendios&bbox=-63.0,-19,-59.00,-15');
+  assert.deepEqual(consultas, ['-63,-19,-59,-15']);
+  assert.deepEqual(app.locals.cache.keys(), ['VIIRS_SNPP_NRT-1--63,-19,-59,-15-bbox']);
+});
+
+test('cada app tiene su propio cache', async t => {
+  const a = createApp({ clienteFirms: fixture(), proveedorMeteo: null });
+  const b = createApp({ clienteFirms: fixture(), proveedorMeteo: null });
+  await (await servir(t, a))('/api/eventos?tipo=incendios&source=VIIRS_SNPP_NRT');
+  assert.ok(a.locals.cache.keys().length > 0);
+  assert.equal(b.locals.cache.keys().length, 0);
+});
+
+test('montada en otra app Express, /api/estadisticas funciona bajo el prefijo', async t => {
+  const padre = express();
+  padre.use('/incendios', createApp({ clienteFirms: fixture(), proveedorMeteo: null }));
+  const get = await servir(t, padre);
+
+  const { status, body } = await get('/incendios/api/estadisticas?days=3&source=ALL&region=santaCruz');
+  assert.equal(status, 200);
+  assert.equal(body.total, 38);
+  assert.deepEqual(Object.keys(body.porDia).sort(), ['2024-09-10', '2024-09-11', '2024-09-12']);
+});
+
+test('/api/estadisticas acepta los filtros de /api/eventos y coincide con sus focos', async t => {
+  const get = await servir(t, createApp({ clienteFirms: fixture(), proveedorMeteo: null }));
+
+  const filtros = 'days=3&source=ALL&bbox=-63,-19,-59,-15&minConfianza=50&daynight=D';
+  const eventos = await get(`/api/eventos?tipo=incendios&${filtros}&limit=5`);
+  const { status, body } = await get(`/api/estadisticas?${filtros}`);
+  assert.equal(status, 200);
+  assert.ok(eventos.body.total > 0 && eventos.body.total < 38);
+  assert.equal(body.total, eventos.body.total);
+  assert.equal(body.actualizado, eventos.body.actualizado);
+  assert.equal(body.parcial, false);
+
+  const invalida = await get('/api/estadisticas?minFRP=mucho');
+  assert.equal(invalida.status, 400);
+});
+
+test('/api/historico limita el rango y pagina como /api/eventos', async t => {
+  const get = await servir(t, createApp({ clienteFirms: fixture(), proveedorMeteo: null }));
+
+  const largo = await get('/api/historico?desde=2020-01-01&hasta=2024-09-12');
+  assert.equal(largo.status, 400);
+
+  const { status, body } = await get('/api/historico?desde=2024-09-10&hasta=2024-09-12');
+  assert.equal(status, 200);
+  assert.equal(body.paginacion.limit, 5000);
+
+  const pagina = await get('/api/historico?desde=2024-09-10&hasta=2024-09-12&limit=1');
+  assert.equal(pagina.body.paginacion.limit, 1);
+  assert.ok(pagina.body.datos.length <= 1);
+  assert.equal((await get('/api/historico?desde=2024-09-10&limit=0')).status, 400);
+  assert.equal((await get('/api/historico?desde=2024-09-10&hasta=2024-09-12&region=constructor')).status, 400);
+});
+
+test('/api/historico aplica los filtros de /api/eventos y rechaza un bbox mal formado', async t => {
+  const app = createApp({ clienteFirms: fixture(), proveedorMeteo: null });
+  const get = await servir(t, app);
+  await get('/api/eventos?tipo=incendios&days=3&source=ALL');
+  // Espera a que termine el archivado en segundo plano
+  await app.locals.historico.guardarDetecciones([]);
+
+  const rango = '/api/historico?desde=2024-09-10&hasta=2024-09-12';
+  const todos = (await get(rango)).body;
+  assert.ok(todos.total > 0);
+  for (const filtro of ['minConfianza=99', 'severidad=muy_alta', 'daynight=N', 'minFRP=50']) {
+    const { status, body } = await get(`${rango}&${filtro}`);
+    assert.equal(status, 200);
+    assert.ok(body.total < todos.total, filtro);
+  }
+  const noche = (await get(`${rango}&daynight=N`)).body;
+  assert.ok(noche.datos.every(d => d.daynight === 'N'));
+  assert.equal((await get(`${rango}&severidad=extrema`)).status, 400);
+
+  for (const bbox of ['bbox=a&bbox=b', 'bbox=a,b,c,d', 'bbox=-60,-15,-63,-19', 'bbox=Infinity,-19,-59,-15']) {
+    const { status, body } = await get(`${rango}&${bbox}`);
+    assert.equal(status, 400, bbox);
+    assert.equal(body.error, 'bbox inválido');
+  }
+  assert.equal((await get(`${rango}&bbox=-63,-19,-59,-15`)).status, 200);
+  assert.equal((await get('/api/series?bbox=a&bbox=b')).status, 400);
+});
+
+test('/api/series solo acepta los intervalos definidos', async t => {
+  const get = await servir(t, createApp({ clienteFirms: fixture(), proveedorMeteo: null }));
+  for (const intervalo of ['toString', 'constructor', 'semana']) {
+    const { status, body } = await get(`/api/series?intervalo=${intervalo}`);
+    assert.equal(status, 400, intervalo);
+    assert.deepEqual(body.intervalosValidos, ['dia', 'hora']);
+  }
+  assert.equal((await get('/api/series?intervalo=dia&desde=2024-09-10&hasta=2024-09-12')).status, 200);
+});
+
+test('/api/estadisticas solo une píxeles con area=true y reutiliza las huellas en cache', async t => {
+  const app = createApp({ clienteFirms: fixture(), proveedorMeteo: null });
+  const get = await servir(t, app);
+  const consulta = 'days=3&source=ALL&region=santaCruz';
+
+  const sinArea = await get(`/api/estadisticas?${consulta}`);
+  assert.equal(sinArea.body.areaAfectadaHa, null);
+  assert.ok(sinArea.body.areaPixelesHa > 0);
+
+  const { body: huellas } = await get(`/api/huellas?${consulta}`);
+  const { body: conArea } = await get(`/api/estadisticas?${consulta}&area=true`);
+  assert.equal(conArea.areaAfectadaHa, huellas.resumen.areaHa);
+  assert.match((await get('/metrics', COMO_ADMIN)).body, /cache_requests_total\{cache="huellas",resultado="hit"\} 1/);
+});
+
+// Abre el stream SSE de `ruta`; `esperar(condicion)` resuelve con los eventos
+// recibidos en cuanto `condicion(eventos)` se cumple
+async function leerStream(t, base, ruta) {
+  const response = await fetch(base + ruta);
+  const eventos = [];
+  let buffer = '';
+  const esperas = [];
+  response.body.on('data', chunk => {
+    buffer += chunk.toString();
+    let fin;
+    while ((fin = buffer.indexOf('\n\n')) >= 0) {
+      const bloque = buffer.slice(0, fin);
+      buffer = buffer.slice(fin + 2);
+      const [, evento, datos] = bloque.match(/^event: (\w+)\ndata: (.*)$/) || [];
+      if (evento) eventos.push({ evento, datos: JSON.parse(datos) });
+    }
+    esperas.filter(e => e.condicion(eventos)).forEach(e => e.resolve(eventos));
+  });
+  return {
+    response,
+    esperar: condicion => new Promise(resolve => {
+      if (condicion(eventos)) return resolve(eventos);
+      esperas.push({ condicion, resolve });
+    })
+  };
+}
+
+test('/api/stream difunde los focos nuevos y expirados al llegar datos frescos', async t => {
+  const [encabezado, ...filas] = fs.readFileSync(path.join(FIXTURE_DIR, 'VIIRS_SNPP_NRT', '2024-09-11.csv'), 'utf8').trim().split('\n');
+  let texto = [encabezado, ...filas.slice(0, 5)].join('\n');
+  const cambiante = {
+    modo: 'live',
+    async consultarFuentes(sources) {
+      return sources.map(source => ({ source, estado: 'ok', texto, intentos: 1, duracionMs: 0 }));
+    },
+    estado: () => ({ modo: 'live' })
+  };
+  const app = createApp({ clienteFirms: cambiante, config: { FIRMS: { MAP_KEY: 'x' } }, proveedorMeteo: null });
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  // El stream no termina solo: se cortan las conexiones abiertas
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const inicial = await (await fetch(`${base}/api/eventos?tipo=incendios`)).json();
+  const stream = await leerStream(t, base, '/api/stream?minConfianza=0');
+  assert.equal(stream.response.headers.get('content-type'), 'text/event-stream');
+  const [listo] = await stream.esperar(eventos => eventos.length >= 1);
+  assert.equal(listo.evento, 'listo');
+  assert.equal(listo.datos.actualizado, inicial.actualizado);
+  assert.equal(app.locals.difusor.estado().clientes, 1);
+
+  // Dos filas salen de la ventana y dos nuevas llegan
+  texto = [encabezado, ...filas.slice(2, 7)].join('\n');
+  app.locals.cache.flushAll();
+  const fresco = await (await fetch(`${base}/api/eventos?tipo=incendios`)).json();
+
+  const eventos = await stream.esperar(lista => lista.some(e => e.evento === 'cambios'));
+  const { datos: cambios } = eventos.find(e => e.evento === 'cambios');
+  const ids = lista => lista.map(d => d.id).sort();
+  assert.equal(cambios.actualizado, fresco.actualizado);
+  assert.deepEqual(ids(cambios.nuevos), ids(fresco.datos.filter(d => !inicial.datos.some(i => i.id === d.id))));
+  assert.deepEqual(cambios.expirados.sort(), ids(inicial.datos.filter(d => !fresco.datos.some(f => f.id === d.id))));
+  assert.equal(cambios.nuevos.length, 2);
+  assert.equal(cambios.expirados.length, 2);
+});
+
+test('/api/stream solo acepta regiones con nombre', async t => {
+  const get = await servir(t, createApp({ clienteFirms: fixture(), proveedorMeteo: null }));
+  for (const query of ['bbox=-63,-19,-59,-15', 'region=custom', 'region=constructor', 'region=marte']) {
+    const { status, body } = await get(`/api/stream?${query}`);
+    assert.equal(status, 400, query);
+    assert.ok(body.regionesValidas.includes('santaCruz'));
+  }
+});
+
+test('/metrics expone FIRMS, cache, detecciones y duración por ruta en formato Prometheus', async t => {
+  const app = createApp({ clienteFirms: fixture(), proveedorMeteo: null });
+  const get = await servir(t, app);
+  await get('/api/eventos?tipo=incendios&days=1&source=VIIRS_SNPP_NRT&region=santaCruz');
+  await get('/api/eventos?tipo=incendios&days=1&source=VIIRS_SNPP_NRT&region=santaCruz');
+  await get('/api/claves/123');
+
+  const texto = app.locals.metricas.exponer();
+  assert.match(texto, /^firms_upstream_requests_total\{source="VIIRS_SNPP_NRT",estado="ok"\} 1$/m);
+  assert.match(texto, /^cache_requests_total\{cache="focos",resultado="hit"\} 1$/m);
+  assert.match(texto, /^cache_requests_total\{cache="focos",resultado="miss"\} 1$/m);
+  assert.match(texto, /^detecciones_devueltas_total\{region="santaCruz",source="VIIRS_SNPP_NRT"\} 30$/m);
+  assert.match(texto, /^http_request_duration_seconds_count\{metodo="GET",ruta="\/api\/eventos",codigo="200"\} 2$/m);
+  assert.match(texto, /^http_request_duration_seconds_count\{metodo="GET",ruta="\/api\/claves\/:id",codigo="401"\} 1$/m);
+});
+
+test('/metrics pide una clave admin salvo con METRICAS.PUBLICAS', async t => {
+  const get = await servir(t, createApp({ clienteFirms: fixture(), proveedorMeteo: null }));
+  assert.equal((await get('/metrics')).status, 401);
+  assert.equal((await get('/metrics', { 'X-API-Key': 'otra' })).status, 401);
+  const { status, body } = await get('/metrics', COMO_ADMIN);
+  assert.equal(status, 200);
+  assert.match(body, /http_request_duration_seconds/);
+
+  const publicas = await servir(t, createApp({ clienteFirms: fixture(), proveedorMeteo: null, config: { METRICAS: { PUBLICAS: true } } }));
+  assert.equal((await publicas('/metrics')).status, 200);
+});
+
+test('una source desconocida responde 400 y no crea series en /metrics', async t => {
+  const get = await servir(t, createApp({ clienteFirms: fixture(), proveedorMeteo: null }));
+  for (const ruta of ['/api/eventos?tipo=incendios&source=basura1', '/api/estadisticas?source=basura2', '/api/densidad?source=toString', '/api/historico?source=VIIRS_SNPP_NRT&source=MODIS_NRT']) {
+    const { status, body } = await get(ruta);
+    assert.equal(status, 400, ruta);
+    assert.ok(body.fuentesValidas.includes('ALL'));
+  }
+  const { body } = await get('/metrics', COMO_ADMIN);
+  assert.doesNotMatch(body, /basura|toString/);
+});
+
+test('/metrics cuenta los errores de FIRMS por tipo', async t => {
+  const get = await servir(t, createApp({ clienteFirms: sinRed, config: { FIRMS: { MAP_KEY: 'x' } }, proveedorMeteo: null }));
+  await get('/api/eventos?tipo=incendios&source=MODIS_NRT');
+
+  const { status, body } = await get('/metrics', COMO_ADMIN);
+  assert.equal(status, 200);
+  assert.match(body, /^firms_upstream_errors_total\{source="MODIS_NRT",tipo="red"\} 1$/m);
+  assert.match(body, /^firms_upstream_requests_total\{source="MODIS_NRT",estado="error"\} 1$/m);
+});
+
+test('cada solicitud lleva X-Request-Id y sus consultas a FIRMS quedan en el log con ese id', async t => {
+  const lineas = [];
+  const registro = biblioteca.crearLogger({ nivel: 'debug', escribir: linea => lineas.push(JSON.parse(linea)) });
+  const app = createApp({ clienteFirms: fixture(), proveedorMeteo: null, log: registro });
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const propio = await fetch(`${base}/api/eventos?tipo=incendios&source=ALL&days=1`, { headers: { 'X-Request-Id': 'prueba-1' } });
+  assert.equal(propio.headers.get('x-request-id'), 'prueba-1');
+  const generado = await fetch(`${base}/api/health`, { headers: { 'X-Request-Id': 'no válido!' } });
+  assert.match(generado.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  const firmsLog = lineas.filter(l => l.mensaje === 'consulta FIRMS');
+  assert.equal(firmsLog.length, 4);
+  assert.ok(firmsLog.every(l => l.requestId === 'prueba-1' && l.bbox && typeof l.duracionMs === 'number' && 'filas' in l));
+  assert.equal(firmsLog.find(l => l.source === 'VIIRS_SNPP_NRT').filas, 15);
+  const solicitud = lineas.find(l => l.mensaje === 'solicitud' && l.requestId === 'prueba-1');
+  assert.equal(solicitud.codigo, 200);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Capas de prueba (rutas relativas a data/), antes de cargar los servicios
+process.env.AREAS_PROTEGIDAS_ARCHIVO = 'fixtures/areas/areas-protegidas.geojson';
+process.env.TCO_ARCHIVO = 'fixtures/areas/territorios-indigenas.geojson';
+process.env.LOG_NIVEL = 'silencio';
+
+const fetch = require('node-fetch');
+const areasProtegidas = require('../services/areasProtegidas');
+const { createApp, crearClienteFirms } = require('..');
+
+test('un punto dentro de un área la recibe como etiqueta; uno fuera, ninguna', () => {
+  assert.equal(areasProtegidas.disponibles, true);
+  assert.deepEqual(areasProtegidas.areasDe(-19.51, -58.3), [{ id: 'ap:otuquis', nombre: 'Otuquis', tipo: 'area_protegida' }]);
+  assert.deepEqual(areasProtegidas.areasDe(-16.36, -60.93).map(a => a.id), ['tco:prueba-chiquitania']);
+  assert.deepEqual(areasProtegidas.areasDe(-17.82, -63.15), []);
+
+  const etiquetada = areasProtegidas.etiquetar({ lat: -14, lng: -60.8 });
+  assert.deepEqual(etiquetada.areasProtegidas.map(a => a.id), ['ap:noel-kempff-mercado']);
+});
+
+test('estadisticasPorArea lista todas las áreas cargadas, también las que no tienen focos', () => {
+  const datos = [-19.51, -19.5].map(lat => areasProtegidas.etiquetar({ lat, lng: -58.3, frp: 5 }));
+  const { porAreaProtegida, enAreasProtegidas } = areasProtegidas.estadisticasPorArea(datos);
+  assert.equal(enAreasProtegidas, 2);
+  assert.equal(porAreaProtegida['ap:otuquis'].total, 2);
+  assert.equal(porAreaProtegida['ap:otuquis'].frpTotal, 10);
+  assert.equal(porAreaProtegida['ap:kaa-iya'].total, 0);
+  assert.equal(Object.keys(porAreaProtegida).length, 4);
+});
+
+test('los focos del fixture FIRMS se etiquetan y se filtran por área', async t => {
+  const app = createApp({
+    clienteFirms: crearClienteFirms({ modo: 'fixture', fixture: { directorio: path.join(__dirname, '..', 'data', 'fixtures', 'firms') } }),
+    proveedorMeteo: null,
+    config: { BASES: { HISTORICO: null, ALERTAS: null, ALERTAS_NOTIFICADAS: null, CLAVES_API: null } }
+  });
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  t.after(() => server.close());
+  const get = async ruta => (await fetch(`http://127.0.0.1:${server.address().port}${ruta}`)).json();
+
+  const capa = await get('/api/areas-protegidas?tipo=tco');
+  assert.deepEqual(capa.features.map(f => f.properties.id), ['tco:prueba-chiquitania']);
+
+  const consulta = 'days=3&source=ALL&region=santaCruz';
+  const dentro = await get(`/api/eventos?tipo=incendios&${consulta}&enAreaProtegida=true`);
+  assert.ok(dentro.total > 0);
+  assert.ok(dentro.datos.every(d => d.areasProtegidas.length > 0));
+
+  const stats = await get(`/api/estadisticas?${consulta}`);
+  assert.equal(stats.enAreasProtegidas, dentro.total);
+  assert.ok(stats.porAreaProtegida['ap:otuquis'].total > 0);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+process.env.LOG_NIVEL = 'silencio';
+
+const fetch = require('node-fetch');
+const { createApp, crearClienteFirms } = require('..');
+const clavesApi = require('../services/clavesApi');
+
+const ADMIN = 'clave-admin-de-prueba';
+
+async function servir(t) {
+  const app = createApp({
+    clienteFirms: crearClienteFirms({ modo: 'fixture', fixture: { directorio: path.join(__dirname, '..', 'data', 'fixtures', 'firms') } }),
+    proveedorMeteo: null,
+    // Bases en memoria: cada prueba arma su propia app
+    config: {
+      CLAVES: { ADMIN },
+      RATE_LIMIT: 2,
+      BASES: { HISTORICO: null, ALERTAS: null, ALERTAS_NOTIFICADAS: null, CLAVES_API: null }
+    }
+  });
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return async (ruta, { clave, method = 'GET', body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (clave) headers['X-API-Key'] = clave;
+    const response = await fetch(base + ruta, { method, headers, body: body && JSON.stringify(body) });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+}
+
+test('validarClave exige nombre y rol y aplica la cuota del rol', () => {
+  assert.match(clavesApi.validarClave({ rol: 'socio' }).error, /nombre/);
+  assert.match(clavesApi.validarClave({ nombre: 'x', rol: 'jefe' }).error, /rol/);
+  assert.equal(clavesApi.validarClave({ nombre: 'x', rol: 'socio' }).datos.cuotaPorHora, clavesApi.ROLES.socio.cuotaPorHora);
+  assert.deepEqual(clavesApi.validarClave({ activa: false }, { parcial: true }).datos, { activa: false });
+  assert.deepEqual(clavesApi.validarClave({ rol: 'socio' }, { parcial: true }).datos, { rol: 'socio', cuotaPorHora: 1000 });
+  assert.deepEqual(clavesApi.validarClave({ rol: 'socio', cuotaPorHora: 5 }, { parcial: true }).datos, { rol: 'socio', cuotaPorHora: 5 });
+});
+
+test('limpiar el cache requiere rol admin', async t => {
+  const pedir = await servir(t);
+  assert.equal((await pedir('/api/cache/clear', { method: 'POST' })).status, 401);
+  assert.equal((await pedir('/api/cache/clear', { method: 'POST', clave: 'no-existe' })).status, 401);
+
+  const { body: socio } = await pedir('/api/claves', { method: 'POST', clave: ADMIN, body: { nombre: 'Socio', rol: 'socio' } });
+  assert.equal((await pedir('/api/cache/clear', { method: 'POST', clave: socio.clave })).status, 403);
+  assert.equal((await pedir('/api/cache/clear', { method: 'POST', clave: ADMIN })).status, 200);
+});
+
+test('cada clave tiene su cuota y sus contadores, aparte del límite por IP', async t => {
+  const pedir = await servir(t);
+  const { status, body: creada } = await pedir('/api/claves', {
+    method: 'POST',
+    clave: ADMIN,
+    body: { nombre: 'Gobernación', rol: 'socio', cuotaPorHora: 3 }
+  });
+  assert.equal(status, 201);
+  assert.match(creada.clave, /^fk_/);
+  assert.equal(creada.hash, undefined);
+
+  const ruta = '/api/eventos?tipo=incendios&source=VIIRS_SNPP_NRT';
+  const estados = [];
+  for (let i = 0; i < 4; i++) estados.push((await pedir(ruta, { clave: creada.clave })).status);
+  assert.deepEqual(estados, [200, 200, 200, 429]);
+
+  // Sin clave, la misma IP sigue con su propio límite (RATE_LIMIT: 2)
+  const anonima = await pedir(ruta);
+  assert.equal(anonima.status, 200);
+  assert.equal(anonima.headers.get('x-ratelimit-remaining'), '1');
+
+  const { body: cuenta } = await pedir('/api/cuenta', { clave: creada.clave });
+  assert.equal(cuenta.nombre, 'Gobernación');
+  assert.equal(cuenta.usadasUltimaHora, 3);
+  assert.equal(cuenta.uso.total, 4);
+  assert.equal(cuenta.uso.rechazadas, 1);
+});
+
+test('/api/estadisticas cuenta para la cuota como /api/eventos', async t => {
+  const pedir = await servir(t);
+  const estados = [];
+  for (let i = 0; i < 3; i++) estados.push((await pedir('/api/estadisticas?source=VIIRS_SNPP_NRT')).status);
+  assert.deepEqual(estados, [200, 200, 429]);
+});
+
+test('el histórico y las series cuentan para la cuota', async t => {
+  const pedir = await servir(t);
+  const estados = [];
+  for (const ruta of ['/api/series?desde=2024-09-10&hasta=2024-09-12', '/api/historico?desde=2024-09-10&hasta=2024-09-12', '/api/series']) {
+    estados.push((await pedir(ruta)).status);
+  }
+  assert.deepEqual(estados, [200, 200, 429]);
+});
+
+test('una clave desactivada o eliminada deja de autenticar', async t => {
+  const pedir = await servir(t);
+  const { body: creada } = await pedir('/api/claves', { method: 'POST', clave: ADMIN, body: { nombre: 'Temporal', rol: 'publico' } });
+
+  const { body: cambiada } = await pedir(`/api/claves/${creada.id}`, { method: 'PATCH', clave: ADMIN, body: { activa: false } });
+  assert.equal(cambiada.activa, false);
+  assert.equal((await pedir('/api/cuenta', { clave: creada.clave })).status, 401);
+
+  assert.equal((await pedir(`/api/claves/${creada.id}`, { method: 'DELETE', clave: ADMIN })).status, 200);
+  assert.equal((await pedir(`/api/claves/${creada.id}`, { clave: ADMIN })).status, 404);
+});
+
+test('las alertas requieren rol socio y no aceptan webhooks a destinos internos', async t => {
+  const pedir = await servir(t);
+  // bbox lejos de los focos del fixture: la prueba no llega a enviar el webhook
+  const suscripcion = { webhookUrl: 'https://example.com/hook', bbox: '0,0,1,1' };
+  assert.equal((await pedir('/api/alertas', { method: 'POST', body: suscripcion })).status, 401);
+
+  const { body: publica } = await pedir('/api/claves', { method: 'POST', clave: ADMIN, body: { nombre: 'Pública', rol: 'publico' } });
+  assert.equal((await pedir('/api/alertas', { method: 'POST', clave: publica.clave, body: suscripcion })).status, 403);
+
+  const { body: socio } = await pedir('/api/claves', { method: 'POST', clave: ADMIN, body: { nombre: 'Alertas', rol: 'socio' } });
+  for (const webhookUrl of ['http://169.254.169.254/latest', 'http://127.0.0.1:4000/', 'http://[::1]/', 'http://localhost/', 'http://192.168.1.10/']) {
+    const { status } = await pedir('/api/alertas', { method: 'POST', clave: socio.clave, body: { ...suscripcion, webhookUrl } });
+    assert.equal(status, 400, webhookUrl);
+  }
+
+  const { status, body: creada } = await pedir('/api/alertas', { method: 'POST', clave: socio.clave, body: suscripcion });
+  assert.equal(status, 201);
+  assert.equal((await pedir(`/api/alertas/${creada.id}`)).status, 401);
+  assert.equal((await pedir(`/api/alertas/${creada.id}`, { method: 'DELETE', clave: socio.clave })).status, 200);
+});
+
+test('una clave de socio no ve ni elimina las suscripciones de otra', async t => {
+  const pedir = await servir(t);
+  const { body: a } = await pedir('/api/claves', { method: 'POST', clave: ADMIN, body: { nombre: 'Organización A', rol: 'socio' } });
+  const { body: b } = await pedir('/api/claves', { method: 'POST', clave: ADMIN, body: { nombre: 'Organización B', rol: 'socio' } });
+  const { body: creada } = await pedir('/api/alertas', {
+    method: 'POST',
+    clave: a.clave,
+    body: { webhookUrl: 'https://example.com/hook-secreto', bbox: '0,0,1,1' }
+  });
+  assert.equal(creada.clienteId, a.id);
+
+  const ajena = await pedir(`/api/alertas/${creada.id}`, { clave: b.clave });
+  assert.equal(ajena.status, 404);
+  assert.equal(ajena.body.webhookUrl, undefined);
+  assert.equal((await pedir(`/api/alertas/${creada.id}`, { method: 'DELETE', clave: b.clave })).status, 404);
+
+  const propia = await pedir(`/api/alertas/${creada.id}`, { clave: a.clave });
+  assert.equal(propia.status, 200);
+  assert.equal(propia.body.webhookUrl, 'https://example.com/hook-secreto');
+  assert.equal((await pedir(`/api/alertas/${creada.id}`, { clave: ADMIN })).status, 200);
+  assert.equal((await pedir(`/api/alertas/${creada.id}`, { method: 'DELETE', clave: ADMIN })).status, 200);
+});
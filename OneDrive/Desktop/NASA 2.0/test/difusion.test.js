@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+process.env.LOG_NIVEL = 'silencio';
+const { calcularCambios, crearDifusor } = require('../services/difusion');
+
+// Respuesta falsa que acumula los eventos SSE escritos
+function respuesta() {
+  const res = new EventEmitter();
+  res.eventos = [];
+  res.writeHead = (status, cabeceras) => { res.status = status; res.cabeceras = cabeceras; };
+  res.write = texto => {
+    const [, evento, datos] = texto.match(/^event: (\w+)\ndata: (.*)\n\n$/) || [];
+    if (evento) res.eventos.push({ evento, datos: JSON.parse(datos) });
+  };
+  return res;
+}
+
+const foco = (id, campos = {}) => ({ id, lat: -16, lng: -61, frp: 10, severidad: 'media', ...campos });
+
+test('calcularCambios separa nuevos, actualizados y expirados', () => {
+  const anterior = new Map([['a', foco('a')], ['b', foco('b')], ['c', foco('c')]]);
+  const { nuevos, actualizados, expirados, instantanea } = calcularCambios(anterior, [foco('a'), foco('b', { frp: 30 }), foco('d')]);
+  assert.deepEqual(nuevos.map(f => f.id), ['d']);
+  assert.deepEqual(actualizados.map(f => f.id), ['b']);
+  assert.deepEqual(expirados, ['c']);
+  assert.deepEqual([...instantanea.keys()], ['a', 'b', 'd']);
+});
+
+test('el difusor envía a cada cliente solo los cambios de su consulta y con sus filtros', t => {
+  const difusor = crearDifusor({ intervaloMs: 60000, maxClientes: 2, refrescar: async () => {} });
+  const inicial = { datos: [foco('a'), foco('b', { severidad: 'alta' })], actualizado: '2024-09-12T10:00:00.000Z' };
+  const todos = respuesta();
+  const soloAltas = respuesta();
+  const otraConsulta = respuesta();
+  t.after(() => [todos, soloAltas, otraConsulta].forEach(res => res.emit('close')));
+
+  assert.equal(difusor.suscribir(todos, { clave: 'x', parametros: {}, inicial, transformar: f => f }), true);
+  difusor.suscribir(soloAltas, { clave: 'x', parametros: {}, inicial, transformar: f => f.filter(d => d.severidad === 'alta') });
+  assert.equal(difusor.suscribir(otraConsulta, { clave: 'y', parametros: {}, inicial, transformar: f => f }), false);
+  assert.equal(todos.cabeceras['Content-Type'], 'text/event-stream');
+  assert.equal(todos.eventos[0].evento, 'listo');
+
+  difusor.publicar('x', [foco('b', { severidad: 'media' }), foco('c', { severidad: 'alta' })], '2024-09-12T11:00:00.000Z');
+  assert.deepEqual(todos.eventos[1].datos, {
+    actualizado: '2024-09-12T11:00:00.000Z',
+    nuevos: [foco('c', { severidad: 'alta' })],
+    actualizados: [foco('b', { severidad: 'media' })],
+    expirados: ['a']
+  });
+  // `b` dejó de ser alta: para ese cliente se quita en lugar de actualizarse
+  assert.deepEqual(soloAltas.eventos[1].datos.actualizados, []);
+  assert.deepEqual(soloAltas.eventos[1].datos.expirados, ['a', 'b']);
+
+  todos.emit('close');
+  soloAltas.emit('close');
+  assert.deepEqual(difusor.estado(), { clientes: 0, consultas: 0 });
+});
+
+test('el difusor no abre más consultas que maxConsultas', t => {
+  const difusor = crearDifusor({ intervaloMs: 60000, maxClientes: 10, maxConsultas: 1, refrescar: async () => {} });
+  const inicial = { datos: [foco('a')], actualizado: '2024-09-12T10:00:00.000Z' };
+  const clientes = [respuesta(), respuesta(), respuesta()];
+  t.after(() => clientes.forEach(res => res.emit('close')));
+
+  assert.equal(difusor.suscribir(clientes[0], { clave: 'x', parametros: {}, inicial, transformar: f => f }), true);
+  assert.equal(difusor.suscribir(clientes[1], { clave: 'x', parametros: {}, inicial, transformar: f => f }), true);
+  assert.equal(difusor.suscribir(clientes[2], { clave: 'y', parametros: {}, inicial, transformar: f => f }), false);
+  assert.deepEqual(difusor.estado(), { clientes: 2, consultas: 1 });
+});
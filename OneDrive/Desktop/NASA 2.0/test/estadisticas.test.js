@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { obtenerEstadisticas } = require('../services/estadisticas');
+const { calcularHuellas } = require('../services/huellas');
+
+const HORA_MS = 60 * 60 * 1000;
+
+function deteccion(i, campos = {}) {
+  return {
+    lat: -16.37 + i * 0.01,
+    lng: -60.93,
+    timestamp: Date.UTC(2024, 8, 12, 17, 36),
+    fechaLocal: '12/9/2024',
+    horaLocal: '13:36',
+    confianza: 80,
+    nivelConfianza: 'high',
+    satellite: 'N',
+    instrument: 'VIIRS',
+    frp: 10,
+    scan: 0.4,
+    track: 0.4,
+    severidad: 'media',
+    categoria: 'Incendio activo pequeño',
+    areasProtegidas: [],
+    ...campos
+  };
+}
+
+test('obtenerEstadisticas sin datos', () => {
+  assert.equal(obtenerEstadisticas([]).total, 0);
+});
+
+test('obtenerEstadisticas cuenta por confianza, satélite, severidad, día y hora local', () => {
+  const stats = obtenerEstadisticas([
+    deteccion(0),
+    deteccion(1, { nivelConfianza: 'low', confianza: 40, satellite: 'Aqua', frp: 50, severidad: 'alta' }),
+    deteccion(2, { timestamp: Date.UTC(2024, 8, 13, 2, 0) })
+  ], 'America/La_Paz');
+
+  assert.equal(stats.total, 3);
+  assert.equal(stats.porConfianza.high, 2);
+  assert.equal(stats.porConfianza.low, 1);
+  assert.deepEqual(stats.porSatelite, { N: 2, Aqua: 1 });
+  assert.deepEqual(stats.porSeveridad, { baja: 0, media: 2, alta: 1, muy_alta: 0 });
+  // 02:00 UTC del 13 es el 12 a las 22:00 en La Paz
+  assert.deepEqual(stats.porDia, { '2024-09-12': 3 });
+  assert.equal(stats.porHora[13], 2);
+  assert.equal(stats.porHora[22], 1);
+  assert.equal(stats.maxFRP, '50.0');
+  assert.equal(stats.promedioConfianza, '66.7');
+});
+
+test('obtenerEstadisticas no cuenta dos veces el área de píxeles solapados', () => {
+  const solapados = [deteccion(0), deteccion(0, { timestamp: Date.UTC(2024, 8, 12, 18, 0) })];
+  const stats = obtenerEstadisticas(solapados, undefined, { huellas: calcularHuellas(solapados).resumen });
+  assert.ok(stats.areaAfectadaHa > 0);
+  assert.ok(stats.areaAfectadaHa < stats.areaPixelesHa);
+});
+
+test('obtenerEstadisticas sin huellas no une píxeles y da solo la suma ingenua', () => {
+  const solapados = [deteccion(0), deteccion(0, { timestamp: Date.UTC(2024, 8, 12, 18, 0) })];
+  const stats = obtenerEstadisticas(solapados);
+  assert.equal(stats.areaAfectadaHa, null);
+  assert.equal(stats.areaTotalAfectada, null);
+  assert.equal(stats.areaPixelesHa, calcularHuellas(solapados).resumen.areaPixelesHa);
+});
+
+test('obtenerEstadisticas compara las últimas 24 h con las anteriores', () => {
+  const ahora = Date.now();
+  const stats = obtenerEstadisticas([
+    deteccion(0, { timestamp: ahora - HORA_MS }),
+    deteccion(1, { timestamp: ahora - 2 * HORA_MS }),
+    deteccion(2, { timestamp: ahora - 30 * HORA_MS })
+  ]);
+  assert.deepEqual(
+    { ...stats.tendencia, cambioPorc: Number(stats.tendencia.cambioPorc) },
+    { ultimas24h: 2, anteriores24h: 1, cambioPorc: 100, direccion: 'aumentando' }
+  );
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseFechaFirms, mapFirmsRow } = require('../services/firmsCsv');
+const { normalizarFila } = require('../services/normalizacion');
+
+const VIIRS = [
+  'latitude,longitude,bright_ti4,scan,track,acq_date,acq_time,satellite,instrument,confidence,version,bright_ti5,frp,daynight',
+  '-16.37200,-60.92800,341.25,0.41,0.45,2024-09-12,1736,N,VIIRS,h,2.0NRT,302.10,45.00,D',
+  'no-es-numero,-60.9,330,0.4,0.4,2024-09-12,1736,N,VIIRS,n,2.0NRT,300,10,D'
+].join('\n');
+
+test('parseCsv devuelve una fila por línea válida con cabeceras normalizadas', () => {
+  const filas = parseCsv(VIIRS);
+  assert.equal(filas.length, 1);
+  assert.equal(filas[0].latitude, '-16.37200');
+  assert.equal(filas[0].confidence, 'h');
+  assert.equal(filas[0].acq_time, '1736');
+});
+
+test('parseCsv respeta comas entre comillas', () => {
+  const filas = parseCsv('latitude,longitude,acq_date,confidence,nota\n-16.1,-61.2,2024-09-12,50,"a, b"');
+  assert.equal(filas[0].nota, 'a, b');
+});
+
+test('parseCsv devuelve [] sin datos o sin columnas requeridas', () => {
+  assert.deepEqual(parseCsv(''), []);
+  assert.deepEqual(parseCsv('latitude,longitude\n-16,-61'), []);
+});
+
+test('parseFechaFirms interpreta acq_date y acq_time HHMM en UTC', () => {
+  assert.equal(parseFechaFirms('2024-09-12', '0512').toISOString(), '2024-09-12T05:12:00.000Z');
+  assert.equal(parseFechaFirms('2024-09-12', '1736').toISOString(), '2024-09-12T17:36:00.000Z');
+});
+
+test('mapFirmsRow traduce una fila VIIRS normalizada en una detección puntuada', () => {
+  const d = mapFirmsRow(normalizarFila(parseCsv(VIIRS)[0], 'VIIRS_SNPP_NRT'));
+
+  assert.equal(d.lat, -16.372);
+  assert.equal(d.lng, -60.928);
+  assert.equal(d.departamento, 'Santa Cruz');
+  assert.equal(d.timestamp, Date.UTC(2024, 8, 12, 17, 36));
+  assert.equal(d.horaUTC, '17:36');
+  assert.equal(d.confianza, 90);
+  assert.equal(d.confianzaOriginal, 'h');
+  assert.equal(d.nivelConfianza, 'very_high');
+  assert.equal(d.frp, 45);
+  assert.equal(d.pixelArea, '0.18');
+  assert.match(d.modeloRiesgo, /^general@/);
+  assert.equal(d.severidad, 'media');
+});
+
+test('mapFirmsRow traduce las columnas de MODIS', () => {
+  const fila = parseCsv([
+    'latitude,longitude,brightness,scan,track,acq_date,acq_time,satellite,instrument,confidence,version,bright_t31,frp,daynight',
+    '-16.3680,-60.9350,335.6,1.02,1.01,2024-09-11,1815,Aqua,MODIS,84,6.1NRT,304.4,52.8,D'
+  ].join('\n'))[0];
+  const d = mapFirmsRow(normalizarFila(fila, 'MODIS_NRT'));
+
+  assert.equal(d.bright_ti4, 335.6);
+  assert.equal(d.bright_ti5, 304.4);
+  assert.equal(d.confianza, 84);
+  assert.equal(d.nivelConfianza, 'high');
+  assert.deepEqual(d.camposDerivados, { bright_ti4: 'brightness', bright_ti5: 'bright_t31' });
+});
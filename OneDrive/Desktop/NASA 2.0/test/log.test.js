@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearLogger, redactar, registrarSecreto } = require('../services/log');
+
+function capturar(opciones) {
+  const lineas = [];
+  const logger = crearLogger({ ...opciones, escribir: linea => lineas.push(linea) });
+  return { logger, entradas: () => lineas.map(l => JSON.parse(l)) };
+}
+
+test('una línea JSON por entrada, filtrada por nivel', () => {
+  const { logger, entradas } = capturar({ nivel: 'warn' });
+  logger.info('no se escribe');
+  logger.warn('reintento', { source: 'MODIS_NRT', intento: 1 });
+  const [entrada, ...resto] = entradas();
+  assert.equal(resto.length, 0);
+  assert.equal(entrada.nivel, 'warn');
+  assert.equal(entrada.mensaje, 'reintento');
+  assert.equal(entrada.source, 'MODIS_NRT');
+  assert.ok(!isNaN(Date.parse(entrada.hora)));
+});
+
+test('los hijos heredan los campos y los errores se serializan', () => {
+  const { logger, entradas } = capturar({ campos: { servicio: 'firms' } });
+  logger.hijo({ requestId: 'abc' }).error('falló', { error: new TypeError('sin red') });
+  const [entrada] = entradas();
+  assert.equal(entrada.servicio, 'firms');
+  assert.equal(entrada.requestId, 'abc');
+  assert.equal(entrada.error.mensaje, 'sin red');
+  assert.equal(entrada.error.tipo, 'TypeError');
+});
+
+test('la MAP_KEY no aparece en URLs de FIRMS ni en los secretos registrados', () => {
+  const url = 'https://firms.modaps.eosdis.nasa.gov/api/area/csv/abcd1234efgh/VIIRS_SNPP_NRT/-69.7,-22.9,-57.4,-9.6/1';
+  assert.equal(redactar(`request to ${url} failed`),
+    'request to https://firms.modaps.eosdis.nasa.gov/api/area/csv/***/VIIRS_SNPP_NRT/-69.7,-22.9,-57.4,-9.6/1 failed');
+
+  registrarSecreto('clave-secreta-123');
+  const { logger, entradas } = capturar();
+  logger.info('error', { detalle: { texto: 'usando clave-secreta-123' }, error: new Error(`GET ${url}`) });
+  const linea = JSON.stringify(entradas());
+  assert.doesNotMatch(linea, /clave-secreta-123|abcd1234efgh/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.LOG_NIVEL = 'silencio';
+
+const meteo = require('../services/meteo');
+
+test('open-meteo descarta las horas con alguna variable nula', async t => {
+  const hora = Date.UTC(2024, 8, 12, 18) / 1000;
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      hourly: {
+        time: [hora, hora + 3600, hora + 7200],
+        temperature_2m: [34, 35, 36],
+        relative_humidity_2m: [20, null, 18],
+        wind_speed_10m: [15, 16, null],
+        wind_direction_10m: [90, 95, 100]
+      }
+    }));
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+
+  const proveedor = meteo.crearProveedor({
+    proveedor: 'open-meteo',
+    url: `http://127.0.0.1:${server.address().port}/v1/forecast`,
+    timeoutMs: 2000,
+    diasPasados: 1
+  });
+  const punto = { lat: -17.8, lng: -63.2 };
+  const [completa, sinHumedad, sinViento] = await proveedor.consultar([0, 1, 2].map(h => ({ ...punto, timestamp: (hora + h * 3600) * 1000 })));
+
+  assert.deepEqual(completa, { temperatura: 34, humedad: 20, vientoVelocidad: 15, vientoDireccion: 90, hora: hora * 1000 });
+  assert.equal(sinHumedad, null);
+  assert.equal(sinViento, null);
+});
+
+test('anotarDetecciones no espera al proveedor más de esperaMs y deja su cache lista', async t => {
+  const hora = Date.UTC(2024, 8, 12, 18) / 1000;
+  let consultas = 0;
+  const server = http.createServer((req, res) => {
+    consultas++;
+    setTimeout(() => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        hourly: {
+          time: [hora],
+          temperature_2m: [34],
+          relative_humidity_2m: [20],
+          wind_speed_10m: [15],
+          wind_direction_10m: [90]
+        }
+      }));
+    }, 300);
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+
+  const proveedor = meteo.crearProveedor({
+    proveedor: 'open-meteo',
+    url: `http://127.0.0.1:${server.address().port}/v1/forecast`,
+    timeoutMs: 2000,
+    diasPasados: 1
+  });
+  const detecciones = [{ lat: -17.8, lng: -63.2, timestamp: hora * 1000 }];
+
+  const inicio = Date.now();
+  const [sinEsperar] = await meteo.anotarDetecciones(detecciones, proveedor, { esperaMs: 50 });
+  assert.ok(Date.now() - inicio < 250);
+  assert.equal(sinEsperar.meteo, null);
+
+  // La descarga siguió en segundo plano: la próxima consulta sale de la cache
+  await new Promise(resolve => setTimeout(resolve, 400));
+  const [conMeteo] = await meteo.anotarDetecciones(detecciones, proveedor, { esperaMs: 50 });
+  assert.equal(conMeteo.meteo.temperatura, 34);
+  assert.equal(consultas, 1);
+});
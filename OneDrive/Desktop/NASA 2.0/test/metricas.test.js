@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearContador, crearHistograma, crearMetricas } = require('../services/metricas');
+
+test('el contador acumula por combinación de etiquetas y escapa los valores', () => {
+  const contador = crearContador('x_total', 'Prueba', ['source']);
+  contador.inc({ source: 'MODIS_NRT' });
+  contador.inc({ source: 'MODIS_NRT' }, 2);
+  contador.inc({ source: 'a"b' });
+  assert.deepEqual(contador.exponer(), [
+    '# HELP x_total Prueba',
+    '# TYPE x_total counter',
+    'x_total{source="MODIS_NRT"} 3',
+    'x_total{source="a\\"b"} 1'
+  ]);
+});
+
+test('el histograma cuenta por bucket acumulado con suma y total', () => {
+  const histograma = crearHistograma('d_seconds', 'Prueba', [], [0.5, 1]);
+  [0.2, 0.7, 3].forEach(v => histograma.observar({}, v));
+  assert.deepEqual(histograma.exponer().slice(2), [
+    'd_seconds_bucket{le="0.5"} 1',
+    'd_seconds_bucket{le="1"} 2',
+    'd_seconds_bucket{le="+Inf"} 3',
+    'd_seconds_sum{} 3.9',
+    'd_seconds_count{} 3'
+  ].map(l => l.replace('{}', '')));
+});
+
+test('registrarConsultaFirms separa fuentes vacías de errores por tipo', () => {
+  const metricas = crearMetricas();
+  metricas.registrarConsultaFirms([
+    { source: 'VIIRS_SNPP_NRT', estado: 'vacia', duracionMs: 300 },
+    { source: 'MODIS_NRT', estado: 'error', tipoError: 'map_key_invalida', duracionMs: 100 }
+  ]);
+  const texto = metricas.exponer();
+  assert.match(texto, /^firms_upstream_requests_total\{source="VIIRS_SNPP_NRT",estado="vacia"\} 1$/m);
+  assert.match(texto, /^firms_upstream_errors_total\{source="MODIS_NRT",tipo="map_key_invalida"\} 1$/m);
+  assert.doesNotMatch(texto, /firms_upstream_errors_total\{source="VIIRS_SNPP_NRT"/);
+  assert.match(texto, /^firms_upstream_duration_seconds_bucket\{source="VIIRS_SNPP_NRT",estado="vacia",le="0.5"\} 1$/m);
+});
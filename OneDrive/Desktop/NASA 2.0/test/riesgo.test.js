@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { obtenerModelo, listarModelos, evaluarRiesgo, categorizar, aplicarModelo } = require('../services/riesgo');
+
+const foco = { confianza: 55, bright_ti4: 335, bright_ti5: 300, frp: 60, scan: 0.4, track: 0.4, instrument: 'VIIRS' };
+
+test('obtenerModelo usa el predeterminado y devuelve null si no existe', () => {
+  assert.equal(obtenerModelo().id, listarModelos().predeterminado);
+  assert.equal(obtenerModelo('no-existe'), null);
+  assert.equal(obtenerModelo('constructor'), null);
+  assert.equal(obtenerModelo('toString'), null);
+  assert.equal(obtenerModelo('__proto__'), null);
+});
+
+test('evaluarRiesgo suma la confianza y las reglas cumplidas', () => {
+  const { nivelRiesgo, desglose } = evaluarRiesgo(foco, obtenerModelo('general'));
+  assert.equal(nivelRiesgo, 55 + 10 + 15);
+  assert.deepEqual(desglose.map(p => p.regla), ['confianza', 'temp_ti4', 'frp_50']);
+});
+
+test('evaluarRiesgo acota a 100 y el desglose suma exactamente el nivel', () => {
+  const { nivelRiesgo, desglose } = evaluarRiesgo({ ...foco, confianza: 95, frp: 150 }, obtenerModelo('general'));
+  assert.equal(nivelRiesgo, 100);
+  assert.equal(desglose.at(-1).regla, 'limite');
+  assert.equal(desglose.reduce((s, p) => s + p.puntos, 0), 100);
+});
+
+test('las reglas meteorológicas no se cumplen sin datos de meteo', () => {
+  const modelo = obtenerModelo('general_meteo');
+  const sinMeteo = evaluarRiesgo(foco, modelo).nivelRiesgo;
+  const conMeteo = evaluarRiesgo({ ...foco, meteo: { indiceIncendio: 55, humedad: 20, vientoVelocidad: 10 } }, modelo).nivelRiesgo;
+  assert.equal(conMeteo - sinMeteo, 5 + 10 + 5);
+});
+
+test('categorizar elige la primera categoría cumplida y traduce', () => {
+  assert.deepEqual(categorizar(foco, obtenerModelo('general')), { categoria: 'Incendio activo moderado', severidad: 'alta' });
+  assert.equal(categorizar({ ...foco, frp: 2 }, obtenerModelo('general'), 'en').categoria, 'Heat spot');
+  assert.equal(categorizar({ ...foco, scan: 2, track: 1.5 }, obtenerModelo('general')).categoria, 'Incendio activo moderado (área extensa)');
+});
+
+test('aplicarModelo marca la versión del modelo usado', () => {
+  const d = aplicarModelo(foco, obtenerModelo('amazonia'));
+  assert.match(d.modeloRiesgo, /^amazonia@\d/);
+  assert.equal(d.severidad, 'media');
+  assert.equal(d.descripcion, 'Incendio activo pequeño - VIIRS');
+});
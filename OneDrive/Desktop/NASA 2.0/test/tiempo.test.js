@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tiempo = require('../services/tiempo');
+
+test('zonaCanonica normaliza mayúsculas y rechaza zonas inexistentes', () => {
+  assert.equal(tiempo.zonaCanonica('america/la_paz'), 'America/La_Paz');
+  assert.equal(tiempo.zonaCanonica('AMERICA/LA_PAZ'), 'America/La_Paz');
+  assert.equal(tiempo.zonaCanonica('Marte/Olympus'), null);
+  assert.equal(tiempo.zonaCanonica(['America/La_Paz']), null);
+});
+
+test('las fechas locales no dependen de cómo se escribió la zona', () => {
+  const ts = Date.UTC(2024, 8, 12, 2, 30);
+  assert.equal(tiempo.fechaISO(ts, 'america/la_paz'), '2024-09-11');
+  assert.deepEqual(tiempo.formatearLocal(ts, 'America/La_Paz', 'es-BO'), tiempo.formatearLocal(ts, 'aMeRiCa/La_PaZ', 'es-BO'));
+});